@@ -0,0 +1,155 @@
+const { FixtureGraph, defaultFixtures, defineFactory, ref } = require('../fixtures');
+const { StateManager } = require('../state');
+const { seed } = require('../random');
+
+describe('FixtureGraph', () => {
+  let state;
+  let fixtures;
+
+  beforeEach(() => {
+    state = new StateManager();
+    fixtures = new FixtureGraph({ state });
+  });
+
+  afterEach(() => {
+    seed();
+  });
+
+  describe('define()', () => {
+    it('should validate names and definitions', () => {
+      expect(() => fixtures.define('bad name', {})).toThrow('Factory name must contain only letters, digits and underscores');
+      expect(() => fixtures.define('user', null)).toThrow('Factory "user" definition must be an object');
+    });
+
+    it('should fall back to the parent graph', () => {
+      const parent = new FixtureGraph({ state });
+      parent.define('user', { id: '$sequence' });
+      const child = new FixtureGraph({ state, parent });
+
+      expect(child.has('user')).toBe(true);
+      expect(child.has('order')).toBe(false);
+    });
+  });
+
+  describe('records()', () => {
+    let parent;
+    let child;
+
+    beforeEach(() => {
+      parent = new FixtureGraph({ state });
+      parent.define('user', { id: '$sequence' });
+      child = new FixtureGraph({ state: new StateManager(), parent });
+      child.define('order', { id: '$sequence', userId: ref('user.id') });
+    });
+
+    it('should read inherited factories from the parent state', () => {
+      parent.seed({ user: 3 });
+
+      expect(child.records('user')).toEqual(parent.records('user'));
+      child.seed({ order: 4 }).order.forEach(order => expect([1, 2, 3]).toContain(order.userId));
+    });
+
+    it('should prefer records seeded through the child', () => {
+      parent.seed({ user: 3 });
+      const { user } = child.seed({ user: 1 });
+
+      expect(child.records('user')).toEqual(user);
+      expect(parent.records('user')).toHaveLength(3);
+    });
+
+    it('should not fall back for factories defined locally', () => {
+      parent.define('order', { id: '$sequence' }).seed({ order: 2 });
+
+      expect(child.records('order')).toEqual([]);
+    });
+  });
+
+  describe('seed()', () => {
+    beforeEach(() => {
+      fixtures
+        .define('order', { id: '$sequence', userId: ref('user.id'), lines: [{ _count: 2, productId: ref('product.id') }] })
+        .define('user', { id: '$sequence', name: '{{fullName}}' })
+        .define('product', { id: '$uuid' }, { store: 'catalog' });
+    });
+
+    it('should generate referenced factories first and link foreign keys', () => {
+      const graph = fixtures.seed({ order: 50, user: 10, product: 5 });
+
+      const userIds = graph.user.map(user => user.id);
+      const productIds = graph.product.map(product => product.id);
+
+      expect(userIds).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+      expect(graph.order).toHaveLength(50);
+      graph.order.forEach((order) => {
+        expect(userIds).toContain(order.userId);
+        order.lines.forEach(line => expect(productIds).toContain(line.productId));
+      });
+    });
+
+    it('should store collections in named state stores', () => {
+      const graph = fixtures.seed({ user: 3, product: 2 });
+
+      expect(state.getStore('user').getState()).toEqual({ items: graph.user });
+      expect(state.getStore('catalog').getState()).toEqual({ items: graph.product });
+      expect(fixtures.records('product')).toEqual(graph.product);
+    });
+
+    it('should reference records seeded earlier', () => {
+      fixtures.seed({ user: 2, product: 1 });
+      const { order } = fixtures.seed({ order: 5 });
+
+      order.forEach(item => expect([1, 2]).toContain(item.userId));
+      expect(fixtures.records('user')).toHaveLength(2);
+    });
+
+    it('should restart sequences when reseeding', () => {
+      fixtures.seed({ user: 2 });
+      expect(fixtures.seed({ user: 2 }).user.map(user => user.id)).toEqual([1, 2]);
+    });
+
+    it('should be reproducible with a seed', () => {
+      seed(3);
+      const first = fixtures.seed({ user: 3, product: 2, order: 4 });
+      seed(3);
+      const second = fixtures.seed({ user: 3, product: 2, order: 4 });
+
+      expect(second).toEqual(first);
+    });
+
+    it('should reject unknown factories and invalid counts', () => {
+      expect(() => fixtures.seed({ invoice: 1 })).toThrow('Unknown factory: invoice');
+      expect(() => fixtures.seed({ user: -1 })).toThrow('Count for factory "user" must be a non-negative integer');
+    });
+
+    it('should fail when a referenced factory has no records', () => {
+      expect(() => fixtures.seed({ order: 1 })).toThrow('Cannot seed "order": it references "user", which has no records');
+    });
+
+    it('should detect circular references', () => {
+      fixtures.define('a', { b: ref('b.id') }).define('b', { a: ref('a.id') });
+      expect(() => fixtures.seed({ a: 1, b: 1 })).toThrow('Circular factory references: a -> b -> a');
+    });
+  });
+
+  describe('ref()', () => {
+    it('should validate the path', () => {
+      expect(() => ref('user..id')).toThrow('ref path must look like "factory" or "factory.field"');
+    });
+
+    it('should resolve whole records and nested fields', () => {
+      const context = { fixtures: { records: () => [{ id: 1, address: { city: 'Rome' } }] } };
+
+      expect(ref('user')(context)).toEqual({ id: 1, address: { city: 'Rome' } });
+      expect(ref('user.address.city')(context)).toBe('Rome');
+      expect(() => ref('user.id')({})).toThrow('Cannot resolve ref(\'user.id\'): no user records');
+    });
+  });
+
+  describe('defineFactory()', () => {
+    it('should define factories on the default graph', () => {
+      defineFactory('sharedThing', { id: '$sequence' });
+      expect(defaultFixtures.has('sharedThing')).toBe(true);
+      defaultFixtures.factories.delete('sharedThing');
+    });
+  });
+});
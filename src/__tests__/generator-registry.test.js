@@ -0,0 +1,135 @@
+const { GeneratorRegistry, globalRegistry, registerGenerator, unregisterGenerator } = require('../generator-registry');
+const { createSchema } = require('../schema');
+const { ValidationError } = require('../validator');
+
+describe('GeneratorRegistry', () => {
+  let registry;
+  let warnSpy;
+
+  beforeEach(() => {
+    registry = new GeneratorRegistry(globalRegistry);
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+  });
+
+  afterEach(() => {
+    warnSpy.mockRestore();
+  });
+
+  describe('register()', () => {
+    it('should make generators callable by name', () => {
+      registry.register('orderState', () => 'shipped');
+
+      expect(registry.has('orderState')).toBe(true);
+      expect(registry.call('orderState')).toBe('shipped');
+      expect(registry.names()).toEqual(expect.arrayContaining(['uuid', 'orderState']));
+    });
+
+    it('should reject invalid names, reserved names and non-functions', () => {
+      expect(() => registry.register('order-state', () => 1)).toThrow('Generator name must contain only letters, digits and underscores');
+      expect(() => registry.register('query', () => 1)).toThrow('Generator name "query" is reserved for request references');
+      expect(() => registry.register('this', () => 1)).toThrow('Generator name "this" is reserved');
+      expect(() => registry.register('sku', 'nope')).toThrow('Generator "sku" must be a function');
+      expect(() => registry.register('sku', () => 1, { args: 'x' })).toThrow('Argument specs for generator "sku" must be an array of objects');
+    });
+
+    it('should warn when a name collides with an existing generator', () => {
+      registry.register('uuid', () => 'fixed');
+
+      expect(warnSpy).toHaveBeenCalledWith('Generator "uuid" is already registered, overriding it');
+      expect(registry.call('uuid')).toBe('fixed');
+      expect(globalRegistry.call('uuid')).not.toBe('fixed');
+    });
+
+    it('should not warn when override is set', () => {
+      registry.register('uuid', () => 'fixed', { override: true });
+      expect(warnSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should unregister only its own generators', () => {
+    registry.register('tenantId', () => 'acme');
+
+    expect(registry.unregister('tenantId')).toBe(true);
+    expect(registry.unregister('uuid')).toBe(false);
+    expect(registry.has('tenantId')).toBe(false);
+    expect(registry.has('uuid')).toBe(true);
+  });
+
+  it('should throw for unknown generators', () => {
+    expect(() => registry.call('nope')).toThrow('Unknown generator: nope');
+  });
+
+  describe('argument validation', () => {
+    beforeEach(() => {
+      registry.register('sku', (prefix, digits) => `${prefix}-${'0'.repeat(digits)}`, {
+        args: [
+          { name: 'prefix', type: 'string', required: true, enum: ['A', 'B'] },
+          { name: 'digits', type: 'integer', minimum: 1, default: 3 }
+        ]
+      });
+    });
+
+    it('should fill in defaults', () => {
+      expect(registry.call('sku', ['A'])).toBe('A-000');
+      expect(registry.call('sku', ['B', 1])).toBe('B-0');
+    });
+
+    it('should reject missing, invalid and extra arguments', () => {
+      const errorsFor = (args) => {
+        try {
+          registry.call('sku', args);
+        } catch (error) {
+          expect(error).toBeInstanceOf(ValidationError);
+          expect(error.message).toBe('Invalid arguments for generator sku');
+          return error.errors;
+        }
+        throw new Error('Expected a ValidationError');
+      };
+
+      expect(errorsFor([])).toEqual(['prefix: Argument is required']);
+      expect(errorsFor(['C'])).toEqual(['prefix: Value must be one of: A, B']);
+      expect(errorsFor(['A', 2, 'extra'])).toEqual(['Expected at most 2 argument(s), got 3']);
+    });
+
+    it('should fall back to the default for an invalid argument that has one', () => {
+      expect(registry.call('sku', ['A', 0])).toBe('A-000');
+      expect(warnSpy).toHaveBeenCalledWith('Generator sku: digits: Value must be at least 1, using default 3');
+    });
+
+    it('should validate built-in generator arguments', () => {
+      const value = registry.call('integer', ['low', 'high']);
+      expect(Number.isInteger(value)).toBe(true);
+      expect(registry.call('lorem', [2]).split(' ')).toHaveLength(2);
+    });
+  });
+});
+
+describe('registerGenerator', () => {
+  afterEach(() => {
+    unregisterGenerator('sku');
+  });
+
+  it('should make generators available to both schema syntaxes', () => {
+    registerGenerator('sku', prefix => `${prefix}-1`, { args: [{ name: 'prefix', type: 'string', default: 'X' }] });
+
+    const schema = createSchema({ a: '{{sku}}', b: '$sku("Y")', c: 'code {{sku("Z")}}' });
+
+    expect(schema.generate()).toEqual({ a: 'X-1', b: 'Y-1', c: 'code Z-1' });
+  });
+
+  it('should resolve generators registered after a schema is compiled', () => {
+    const schema = createSchema({ a: '$sku' });
+    registerGenerator('sku', () => 'late');
+
+    expect(schema.generate()).toEqual({ a: 'late' });
+  });
+
+  it('should return null from schemas when arguments are invalid', () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+    registerGenerator('sku', () => 'ok', { args: [{ name: 'prefix', type: 'string', required: true }] });
+
+    expect(createSchema({ a: '{{sku(1)}}' }).generate()).toEqual({ a: null });
+    expect(warnSpy).toHaveBeenCalledWith('Generator sku failed: Invalid arguments for generator sku (prefix: Expected type string, got number), returning null');
+    warnSpy.mockRestore();
+  });
+});
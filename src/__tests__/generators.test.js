@@ -59,6 +59,57 @@ describe('generators', () => {
       const parsed = new Date(date);
       expect(parsed.toISOString()).toBe(date);
     });
+  
+    describe('ranges and formats', () => {
+      const DAY = 24 * 60 * 60 * 1000;
+
+      beforeEach(() => {
+        generators.seed(1);
+      });
+
+      afterEach(() => {
+        generators.seed();
+      });
+
+      const reference = Date.UTC(2024, 0, 1);
+
+      it('should stay within absolute bounds', () => {
+        const value = Date.parse(generators.date({ from: '2020-01-01', to: '2020-01-02' }));
+        expect(value).toBeGreaterThanOrEqual(Date.UTC(2020, 0, 1));
+        expect(value).toBeLessThanOrEqual(Date.UTC(2020, 0, 2));
+      });
+
+      it('should resolve relative offsets from now', () => {
+        const future = Date.parse(generators.date({ from: 'now', to: '+2h' }));
+        expect(future).toBeGreaterThanOrEqual(reference);
+        expect(future).toBeLessThanOrEqual(reference + 2 * 60 * 60 * 1000);
+
+        const past = Date.parse(generators.date('-7d', '-1d12h'));
+        expect(past).toBeGreaterThanOrEqual(reference - 7 * DAY);
+        expect(past).toBeLessThanOrEqual(reference - 1.5 * DAY);
+      });
+
+      it('should output epoch seconds and milliseconds', () => {
+        const seconds = generators.date({ format: 'unix' });
+        const millis = generators.date({ format: 'millis' });
+        expect(Number.isInteger(seconds)).toBe(true);
+        expect(seconds).toBeLessThanOrEqual(reference / 1000);
+        expect(Number.isInteger(millis)).toBe(true);
+        expect(millis).toBeGreaterThan(reference - 366 * DAY);
+      });
+
+      it('should output date-only, time-only and custom formats', () => {
+        expect(generators.date({ format: 'date' })).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+        expect(generators.date({ format: 'time' })).toMatch(/^\d{2}:\d{2}:\d{2}$/);
+        expect(generators.date({ from: '2021-03-04T05:06:07.008Z', to: '2021-03-04T05:06:07.008Z', format: 'D.M.YY [at] HH:mm:ss.SSS' }))
+          .toBe('4.3.21 at 05:06:07.008');
+      });
+
+      it('should reject invalid and inverted ranges', () => {
+        expect(() => generators.date({ from: 'yesterday-ish' })).toThrow('Invalid date: yesterday-ish');
+        expect(() => generators.date({ from: '+1d', to: 'now' })).toThrow('date: from must not be after to');
+      });
+    });
   });
 
   describe('oneOf', () => {
@@ -68,4 +119,210 @@ describe('generators', () => {
       expect(options).toContain(result);
     });
   });
-});
\ No newline at end of file
+
+  describe('option conventions', () => {
+    it('should accept positional arguments or one options object', () => {
+      generators.seed(11);
+      const positional = [generators.float(1, 2, 1), generators.password(8, false), generators.latitude(10, 20)];
+      generators.seed(11);
+      const named = [
+        generators.float({ min: 1, max: 2, decimals: 1 }),
+        generators.password({ length: 8, symbols: false }),
+        generators.latitude({ min: 10, max: 20 })
+      ];
+      generators.seed();
+
+      expect(named).toEqual(positional);
+    });
+  });
+
+  describe('address', () => {
+    it('should generate street, city, postcode and country', () => {
+      const value = generators.address('de');
+      expect(value.street).toMatch(/^\S+straße \d+$/);
+      expect(typeof value.city).toBe('string');
+      expect(value.postcode).toMatch(/^\d{5}$/);
+      expect(value.country).toBe('DE');
+    });
+
+    it('should generate ISO country codes and country names', () => {
+      expect(generators.countryCode()).toMatch(/^[A-Z]{2}$/);
+      expect(generators.country().length).toBeGreaterThan(0);
+    });
+
+    it('should keep coordinates within range', () => {
+      const { lat, lng } = generators.latLng();
+      expect(lat).toBeGreaterThanOrEqual(-90);
+      expect(lat).toBeLessThanOrEqual(90);
+      expect(lng).toBeGreaterThanOrEqual(-180);
+      expect(lng).toBeLessThanOrEqual(180);
+      expect(generators.latitude(-200, 200)).toBeLessThanOrEqual(90);
+    });
+  });
+
+  describe('company', () => {
+    it('should generate company names and job titles', () => {
+      expect(generators.companyName('de')).toMatch(/ (GmbH|AG|KG)$/);
+      expect(generators.jobTitle().split(' ')).toHaveLength(3);
+    });
+  });
+
+  describe('finance', () => {
+    const luhnValid = (number) => {
+      let sum = 0;
+      [...number].reverse().forEach((char, index) => {
+        let digit = Number(char);
+        if (index % 2 === 1) {
+          digit *= 2;
+          if (digit > 9) {
+            digit -= 9;
+          }
+        }
+        sum += digit;
+      });
+      return sum % 10 === 0;
+    };
+
+    const ibanValid = (value) => {
+      const rearranged = value.slice(4) + value.slice(0, 4);
+      const numeric = rearranged.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+      return BigInt(numeric) % 97n === 1n;
+    };
+
+    it('should generate Luhn-valid card numbers per brand', () => {
+      expect(generators.creditCard()).toMatch(/^4\d{15}$/);
+      expect(generators.creditCard('mastercard')).toMatch(/^5[1-5]\d{14}$/);
+      expect(generators.creditCard('amex')).toMatch(/^3[47]\d{13}$/);
+      for (let i = 0; i < 20; i++) {
+        expect(luhnValid(generators.creditCard(['visa', 'mastercard', 'amex', 'discover'][i % 4]))).toBe(true);
+      }
+      expect(() => generators.creditCard('diners')).toThrow('Unknown card brand: diners');
+    });
+
+    it('should generate IBANs with valid check digits', () => {
+      expect(generators.iban()).toMatch(/^DE\d{20}$/);
+      expect(generators.iban('GB')).toMatch(/^GB\d{2}[A-Z]{4}\d{14}$/);
+      ['DE', 'FR', 'ES', 'NL', 'GB', 'BR', 'SA'].forEach((code) => {
+        expect(ibanValid(generators.iban(code))).toBe(true);
+      });
+      expect(() => generators.iban('XX')).toThrow('Unsupported IBAN country: XX');
+    });
+
+    it('should round amounts to the currency minor unit', () => {
+      expect(Number.isInteger(generators.amount(100, 5000, 'JPY'))).toBe(true);
+      const value = generators.amount({ min: 1, max: 2 });
+      expect(value).toBeGreaterThanOrEqual(1);
+      expect(value).toBeLessThanOrEqual(2);
+      expect(String(value).split('.')[1]?.length || 0).toBeLessThanOrEqual(2);
+      expect(generators.currencyCode()).toMatch(/^[A-Z]{3}$/);
+    });
+  });
+
+  describe('internet', () => {
+    it('should generate IPv4 addresses', () => {
+      const octets = generators.ipv4().split('.').map(Number);
+      expect(octets).toHaveLength(4);
+      octets.forEach(octet => expect(octet).toBeLessThanOrEqual(255));
+    });
+
+    it('should generate IPv6 addresses', () => {
+      expect(generators.ipv6()).toMatch(/^([0-9a-f]{4}:){7}[0-9a-f]{4}$/);
+    });
+
+    it('should generate unicast MAC addresses', () => {
+      const value = generators.mac();
+      expect(value).toMatch(/^([0-9a-f]{2}:){5}[0-9a-f]{2}$/);
+      expect(parseInt(value.slice(0, 2), 16) % 2).toBe(0);
+      expect(generators.mac('-')).toMatch(/^([0-9a-f]{2}-){5}[0-9a-f]{2}$/);
+    });
+
+    it('should generate browser user agents', () => {
+      expect(generators.userAgent()).toMatch(/^Mozilla\/5\.0 \(.+\) .+/);
+    });
+  });
+
+  describe('text', () => {
+    it('should generate hex colors', () => {
+      expect(generators.hexColor()).toMatch(/^#[0-9a-f]{6}$/);
+    });
+
+    it('should generate slugs', () => {
+      expect(generators.slug()).toMatch(/^[a-z]+(-[a-z]+){2}$/);
+      expect(generators.slug(1)).toMatch(/^[a-z]+$/);
+    });
+
+    it('should generate ASCII usernames', () => {
+      expect(generators.username()).toMatch(/^[a-z]+[._]?[a-z]+\d{1,2}$/);
+    });
+
+    it('should generate passwords with every character class', () => {
+      const value = generators.password(12);
+      expect(value).toHaveLength(12);
+      expect(value).toMatch(/[a-z]/);
+      expect(value).toMatch(/[A-Z]/);
+      expect(value).toMatch(/\d/);
+      expect(value).toMatch(/[^a-zA-Z0-9]/);
+      expect(generators.password(8, false)).toMatch(/^[a-zA-Z0-9]{8}$/);
+      expect(() => generators.password(3)).toThrow('Password length must be at least 4');
+    });
+  });
+
+  describe('sequence', () => {
+    beforeEach(() => {
+      generators.sequence.reset();
+    });
+
+    it('should count up per name', () => {
+      expect([generators.sequence('a'), generators.sequence('a'), generators.sequence('b')]).toEqual([1, 2, 1]);
+      expect(generators.sequence()).toBe(1);
+    });
+
+    it('should honour start and step', () => {
+      expect(generators.sequence({ name: 'id', start: 100, step: 10 })).toBe(100);
+      expect(generators.sequence({ name: 'id', start: 100, step: 10 })).toBe(110);
+    });
+
+    it('should restart on reset', () => {
+      generators.sequence('a');
+      generators.sequence('b');
+      generators.sequence.reset('a');
+
+      expect(generators.sequence('a')).toBe(1);
+      expect(generators.sequence('b')).toBe(2);
+    });
+
+    it('should reject unknown scopes', () => {
+      expect(() => generators.sequence('a', 'request')).toThrow('Unknown sequence scope: request');
+    });
+  });
+
+  describe('unique', () => {
+    beforeEach(() => {
+      generators.sequence.reset();
+    });
+
+    it('should not repeat values of a generator', () => {
+      const values = Array.from({ length: 5 }, () => generators.unique('integer', 1, 5));
+      expect(values.sort()).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    it('should accept generator functions', () => {
+      const letter = () => generators.oneOf(['a', 'b', 'c']);
+      const values = Array.from({ length: 3 }, () => generators.unique(letter));
+      expect(new Set(values).size).toBe(3);
+    });
+
+    it('should fail clearly once retries run out', () => {
+      generators.unique('boolean');
+      generators.unique('boolean');
+
+      expect(() => generators.unique('boolean')).toThrow(
+        'unique(boolean) found no new value after 100 attempts (2 distinct values used)'
+      );
+    });
+
+    it('should reject unknown generators', () => {
+      expect(() => generators.unique('nope')).toThrow('Unknown generator: nope');
+    });
+  });
+});
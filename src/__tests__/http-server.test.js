@@ -0,0 +1,142 @@
+const { createMockServer } = require('../index');
+const { MockHttpServer } = require('../http-server');
+
+describe('MockHttpServer', () => {
+  let server;
+  let url;
+
+  beforeEach(async () => {
+    server = createMockServer();
+    ({ url } = await server.listen(0));
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  describe('listen()', () => {
+    it('should bind an ephemeral port', () => {
+      const address = server.address();
+      expect(address.port).toBeGreaterThan(0);
+      expect(address.url).toBe(`http://127.0.0.1:${address.port}`);
+    });
+
+    it('should reject when already listening', async () => {
+      await expect(server.listen(0)).rejects.toThrow('Server is already listening');
+    });
+
+    it('should reject when the port is in use', async () => {
+      const other = new MockHttpServer(server);
+      await expect(other.listen(server.address().port)).rejects.toThrow(/EADDRINUSE/);
+    });
+  });
+
+  describe('close()', () => {
+    it('should stop the server', async () => {
+      await server.close();
+      expect(server.address()).toBeNull();
+      await expect(fetch(`${url}/users`)).rejects.toThrow();
+    });
+
+    it('should resolve when not listening', async () => {
+      await server.close();
+      await expect(server.close()).resolves.toBeUndefined();
+    });
+  });
+
+  describe('requests', () => {
+    it('should write JSON responses', async () => {
+      server.route('GET', '/users/:id', { status: 200, headers: { 'X-Mock': 'yes' }, body: ({ params }) => ({ id: params.id }) });
+
+      const res = await fetch(`${url}/users/5`);
+      expect(res.status).toBe(200);
+      expect(res.headers.get('x-mock')).toBe('yes');
+      expect(res.headers.get('content-type')).toMatch(/^application\/json/);
+      expect(await res.json()).toEqual({ id: '5' });
+    });
+
+    it('should pass query and headers to the pipeline', async () => {
+      server.get('/search', (ctx) => ({ q: ctx.query.q, token: ctx.headers['x-token'] }));
+
+      const res = await fetch(`${url}/search?q=shoes`, { headers: { 'X-Token': 'abc' } });
+      expect(await res.json()).toEqual({ q: 'shoes', token: 'abc' });
+    });
+
+    it('should parse JSON request bodies', async () => {
+      server.route('POST', '/users', { status: 201, body: (ctx) => ctx.body });
+
+      const res = await fetch(`${url}/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: 'Alice' })
+      });
+      expect(res.status).toBe(201);
+      expect(await res.json()).toEqual({ name: 'Alice' });
+    });
+
+    it('should pass text request bodies through as strings', async () => {
+      server.route('POST', '/echo', { body: (ctx) => ctx.body });
+
+      const res = await fetch(`${url}/echo`, { method: 'POST', body: 'hello' });
+      expect(res.headers.get('content-type')).toMatch(/^text\/plain/);
+      expect(await res.text()).toBe('hello');
+    });
+
+    it('should answer 400 for malformed JSON bodies', async () => {
+      server.route('POST', '/users', { body: {} });
+
+      const res = await fetch(`${url}/users`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{nope'
+      });
+      expect(res.status).toBe(400);
+    });
+
+    it('should answer 404 for unmatched routes', async () => {
+      const res = await fetch(`${url}/missing`);
+      expect(res.status).toBe(404);
+      expect((await res.json()).error.status).toBe(404);
+    });
+
+    it('should answer HEAD with the GET headers and no body', async () => {
+      server.route('GET', '/users', { body: [{ id: 1 }] });
+
+      const res = await fetch(`${url}/users`, { method: 'HEAD' });
+      expect(res.status).toBe(200);
+      expect(res.headers.get('content-length')).toBe(String(JSON.stringify([{ id: 1 }]).length));
+      expect(await res.text()).toBe('');
+    });
+
+    it('should answer 405 with an Allow header', async () => {
+      server.route('GET', '/users', { body: [] });
+
+      const res = await fetch(`${url}/users`, { method: 'PATCH' });
+      expect(res.status).toBe(405);
+      expect(res.headers.get('allow')).toBe('GET, HEAD, OPTIONS');
+    });
+
+    it('should answer 500 and keep serving when a route returns an invalid status', async () => {
+      server.route('GET', '/bad', { status: 1000, body: { ok: false } });
+      server.route('GET', '/bad-header', { headers: { 'X-Bad': 'a\nb' }, body: {} });
+      server.route('GET', '/users', { body: [] });
+
+      const bad = await fetch(`${url}/bad`);
+      const badHeader = await fetch(`${url}/bad-header`);
+
+      expect(bad.status).toBe(500);
+      expect((await bad.json()).error.status).toBe(500);
+      expect(badHeader.status).toBe(500);
+      expect(badHeader.headers.get('x-bad')).toBeNull();
+      expect((await fetch(`${url}/users`)).status).toBe(200);
+    });
+
+    it('should send empty bodies for null responses', async () => {
+      server.route('DELETE', '/users/:id', { status: 204 });
+
+      const res = await fetch(`${url}/users/1`, { method: 'DELETE' });
+      expect(res.status).toBe(204);
+      expect(await res.text()).toBe('');
+    });
+  });
+});
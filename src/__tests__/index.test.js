@@ -0,0 +1,571 @@
+const { createMockServer, createSchema, generators, validate, ref, defineFactory, seedFixtures, MockApiError, GenerationError } = require('../index');
+const { defaultFixtures } = require('../fixtures');
+const { defaultManager } = require('../state');
+
+describe('createMockServer', () => {
+  let server;
+
+  beforeEach(() => {
+    server = createMockServer();
+  });
+
+  describe('route registration', () => {
+    it('should register routes on the router', () => {
+      server.route('GET', '/users', { body: [] }).route('POST', '/users', { status: 201 });
+      expect(server.router.getRoutes()).toHaveLength(2);
+    });
+
+    it('should treat a function as a body function', async () => {
+      server.get('/users/:id', ({ params }) => ({ id: params.id }));
+      const response = await server.handle('GET', '/users/42');
+      expect(response.body).toEqual({ id: '42' });
+    });
+
+    it('should treat a plain object as a response schema', async () => {
+      server.get('/users/:id', { id: '$params.id', name: '$fullName' });
+      const response = await server.handle('GET', '/users/7');
+      expect(response.status).toBe(200);
+      expect(response.body.id).toBe('7');
+      expect(typeof response.body.name).toBe('string');
+    });
+
+    it('should not mistake schema fields named like route options for a route config', async () => {
+      server.get('/orders/:id', { id: '$params.id', status: 'shipped' });
+      server.get('/posts/:id', { title: 'Hello', body: '{{lorem(20)}}', headers: ['a'] });
+
+      const order = await server.handle('GET', '/orders/7');
+      const post = await server.handle('GET', '/posts/1');
+
+      expect(order).toEqual({ status: 200, headers: {}, body: { id: '7', status: 'shipped' } });
+      expect(post.body.title).toBe('Hello');
+      expect(post.body.body.split(' ')).toHaveLength(20);
+      expect(post.body.headers).toEqual(['a']);
+    });
+
+    it('should take route options as the third argument of the helpers', async () => {
+      server.post('/users', { id: '$uuid', status: 'pending' }, { status: 201, headers: { 'X-Created': '1' } });
+      server.get('/ping', 'pong');
+
+      const created = await server.handle('POST', '/users');
+
+      expect(created.status).toBe(201);
+      expect(created.headers['X-Created']).toBe('1');
+      expect(created.body.status).toBe('pending');
+      expect((await server.handle('GET', '/ping')).body).toBe('pong');
+    });
+
+    it('should reject route configs that are not objects or functions', () => {
+      expect(() => server.route('GET', '/users', [])).toThrow('Route config must be an object or a body function');
+    });
+  });
+
+  describe('handle', () => {
+    it('should return 404 for unmatched routes', async () => {
+      const response = await server.handle('GET', '/missing');
+      expect(response.status).toBe(404);
+      expect(response.body.error.status).toBe(404);
+    });
+
+    it('should return status and headers from the route config', async () => {
+      server.route('POST', '/users', { status: 201, headers: { 'X-Id': '1' }, body: { ok: true } });
+      const response = await server.handle('POST', '/users');
+      expect(response).toEqual({ status: 201, headers: { 'X-Id': '1' }, body: { ok: true } });
+    });
+
+    it('should pass query, headers and body to body functions', async () => {
+      server.post('/echo', (ctx) => ({ q: ctx.query.q, h: ctx.headers['x-test'], b: ctx.body }));
+      const response = await server.handle('POST', '/echo?q=search', {
+        headers: { 'x-test': 'yes' },
+        body: { a: 1 }
+      });
+      expect(response.body).toEqual({ q: 'search', h: 'yes', b: { a: 1 } });
+    });
+
+    it('should return 405 with an Allow header for other methods', async () => {
+      server.route('GET', '/users', { body: [] }).route('POST', '/users', { status: 201 });
+      const response = await server.handle('DELETE', '/users');
+      expect(response.status).toBe(405);
+      expect(response.headers.Allow).toBe('GET, HEAD, OPTIONS, POST');
+      expect(response.body.error.message).toBe('Method Not Allowed');
+    });
+
+    it('should return 404 when only a request matcher fails', async () => {
+      server.route('GET', '/search', { match: { query: { q: 'a' } }, body: [] });
+      const response = await server.handle('GET', '/search?q=b');
+      expect(response.status).toBe(404);
+    });
+
+    it('should answer OPTIONS from the registered methods', async () => {
+      server.route('GET', '/users/:id', { body: {} }).route('PUT', '/users/:id', { body: {} });
+      const response = await server.handle('OPTIONS', '/users/1');
+      expect(response).toEqual({ status: 204, headers: { Allow: 'GET, HEAD, OPTIONS, PUT' }, body: null });
+    });
+
+    it('should prefer an explicit OPTIONS route', async () => {
+      server.route('OPTIONS', '/users', { status: 200, headers: { 'Access-Control-Allow-Origin': '*' } });
+      server.route('GET', '/users', { body: [] });
+      const response = await server.handle('OPTIONS', '/users');
+      expect(response.status).toBe(200);
+      expect(response.headers['Access-Control-Allow-Origin']).toBe('*');
+    });
+
+    it('should serve HEAD from the GET route without a body', async () => {
+      server.route('GET', '/users', { headers: { 'X-Total': '2' }, body: [{ id: 1 }, { id: 2 }] });
+      const response = await server.handle('HEAD', '/users');
+      expect(response.status).toBe(200);
+      expect(response.body).toBeNull();
+      expect(response.headers['X-Total']).toBe('2');
+      expect(response.headers['Content-Length']).toBe(String(JSON.stringify([{ id: 1 }, { id: 2 }]).length));
+    });
+
+    it('should strip the body from unmatched HEAD responses', async () => {
+      server.route('POST', '/users', { status: 201 });
+
+      const notFound = await server.handle('HEAD', '/missing');
+      const notAllowed = await server.handle('HEAD', '/users');
+
+      expect(notFound.status).toBe(404);
+      expect(notFound.body).toBeNull();
+      expect(Number(notFound.headers['Content-Length'])).toBeGreaterThan(0);
+      expect(notAllowed.status).toBe(405);
+      expect(notAllowed.body).toBeNull();
+      expect(notAllowed.headers.Allow).toBe('OPTIONS, POST');
+    });
+
+    it('should select routes by request matchers', async () => {
+      server.route('GET', '/search', { match: { query: { q: 'foo' } }, body: 'foo results' });
+      server.route('GET', '/search', { match: { query: { q: 'bar' } }, body: 'bar results' });
+      server.route('POST', '/search', { match: { body: { filter: { type: 'book' } } }, body: 'books' });
+
+      expect((await server.handle('GET', '/search?q=bar')).body).toBe('bar results');
+      expect((await server.handle('GET', '/search?q=foo')).body).toBe('foo results');
+      expect((await server.handle('GET', '/search?q=baz')).status).toBe(404);
+      expect((await server.handle('POST', '/search', { body: { filter: { type: 'book', year: 2020 } } })).body).toBe('books');
+    });
+
+    it('should echo request data and state through schema references', async () => {
+      server.state.createStore('users', { count: 41 });
+      server.route('POST', '/users', {
+        status: 201,
+        schema: { name: '$body.name', message: 'Created {{body.name}}', total: '$state.users.count' }
+      });
+
+      const response = await server.handle('POST', '/users', { body: { name: 'Ann' } });
+      expect(response.body).toEqual({ name: 'Ann', message: 'Created Ann', total: 41 });
+    });
+
+    it('should run interceptors and expose their context', async () => {
+      server.use(() => ({ user: 'alice' }));
+      server.get('/me', (ctx) => ({ user: ctx.user }));
+      const response = await server.handle('GET', '/me');
+      expect(response.body).toEqual({ user: 'alice' });
+    });
+
+    it('should return 500 when an interceptor throws', async () => {
+      server.use(() => { throw new Error('boom'); });
+      server.route('GET', '/me', { body: {} });
+      const response = await server.handle('GET', '/me');
+      expect(response.status).toBe(500);
+      expect(response.body.error.message).toBe('boom');
+    });
+
+    it('should apply active scenarios', async () => {
+      server.route('GET', '/users', { body: [] });
+      server.scenarios.define('down', {
+        statusCode: 503,
+        response: { error: 'down' },
+        headers: { 'Retry-After': '5' }
+      });
+      server.scenarios.activate('down', '/users');
+
+      const response = await server.handle('GET', '/users');
+      expect(response.status).toBe(503);
+      expect(response.headers['Retry-After']).toBe('5');
+      expect(response.body).toEqual({ error: 'down' });
+    });
+
+    it('should simulate errors using the configured rate', async () => {
+      server = createMockServer({ errorRate: 1, errorStatus: 502 });
+      server.route('GET', '/users', { body: [] });
+      const response = await server.handle('GET', '/users');
+      expect(response.status).toBe(502);
+      expect(response.body).toEqual(new MockApiError(502).toJSON());
+    });
+
+    it('should log requests and responses when logging is enabled', async () => {
+      server = createMockServer({ logging: true, loggerOptions: { output: { log: jest.fn(), info: jest.fn() } } });
+      server.route('GET', '/users', { body: [] });
+      await server.handle('GET', '/users');
+      const history = server.logger.getHistory();
+      expect(history).toHaveLength(2);
+      expect(history[0].message).toBe('--> GET /users');
+      expect(history[1].message).toMatch(/^<-- 200/);
+    });
+  });
+
+  describe('group', () => {
+    it('should prefix route paths', async () => {
+      server.group('/api/v2', (g) => {
+        g.route('GET', '/users', { body: ['a'] }).route('GET', '/', { body: 'root' });
+      });
+
+      expect((await server.handle('GET', '/api/v2/users')).body).toEqual(['a']);
+      expect((await server.handle('GET', '/api/v2')).body).toBe('root');
+      expect((await server.handle('GET', '/users')).status).toBe(404);
+    });
+
+    it('should merge group headers into route headers', async () => {
+      server.group('/api', { headers: { 'X-Api': 'v2', 'X-Shared': 'group' } }, (g) => {
+        g.route('GET', '/users', { headers: { 'X-Shared': 'route' }, body: [] });
+      });
+
+      const response = await server.handle('GET', '/api/users');
+      expect(response.headers).toEqual({ 'X-Api': 'v2', 'X-Shared': 'route' });
+    });
+
+    it('should apply group defaults unless the route overrides them', () => {
+      server.group('/api', { delay: 50, status: 202 }, (g) => {
+        g.route('GET', '/a', { body: 1 }).route('GET', '/b', { delay: 0, body: 2 });
+      });
+
+      const [a, b] = ['/api/a', '/api/b'].map(path => server.router.match('GET', path).config);
+      expect(a).toMatchObject({ delay: 50, status: 202 });
+      expect(b).toMatchObject({ delay: 0, status: 202 });
+    });
+
+    it('should run group interceptors before route interceptors', async () => {
+      const order = [];
+      server.use(() => { order.push('server'); });
+      server.group('/api', { interceptors: [() => { order.push('group'); return { user: 'alice' }; }] }, (g) => {
+        g.route('GET', '/me', { interceptors: [() => { order.push('route'); }], body: (ctx) => ({ user: ctx.user }) });
+      });
+
+      const response = await server.handle('GET', '/api/me');
+      expect(order).toEqual(['server', 'group', 'route']);
+      expect(response.body).toEqual({ user: 'alice' });
+    });
+
+    it('should reject requests when a group interceptor throws', async () => {
+      server.group('/admin', { interceptors: [(req) => { if (!req.headers.authorization) throw new Error('Unauthorized'); }] }, (g) => {
+        g.route('GET', '/stats', { body: {} });
+      });
+
+      expect((await server.handle('GET', '/admin/stats')).status).toBe(500);
+      expect((await server.handle('GET', '/admin/stats', { headers: { authorization: 'x' } })).status).toBe(200);
+    });
+
+    it('should keep the status of a MockApiError thrown by a group interceptor', async () => {
+      const auth = (req) => {
+        if (!req.headers.authorization) {
+          throw new MockApiError(401, 'no token');
+        }
+      };
+      server.group('/api', { interceptors: [auth] }, (g) => {
+        g.route('GET', '/me', { body: {} });
+      });
+
+      const response = await server.handle('GET', '/api/me');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error.message).toBe('no token');
+      expect((await server.handle('GET', '/api/me', { headers: { authorization: 'x' } })).status).toBe(200);
+    });
+
+    it('should nest groups', async () => {
+      server.group('/api', { headers: { 'X-Api': '1' }, interceptors: [() => ({ outer: true })] }, (api) => {
+        api.group('/v2/', { headers: { 'X-Version': '2' }, interceptors: [() => ({ inner: true })] }, (v2) => {
+          v2.get('/users/:id', ({ params, outer, inner }) => ({ id: params.id, outer, inner }));
+        });
+      });
+
+      const response = await server.handle('GET', '/api/v2/users/3');
+      expect(response.headers).toEqual({ 'X-Api': '1', 'X-Version': '2' });
+      expect(response.body).toEqual({ id: '3', outer: true, inner: true });
+    });
+
+    it('should accept bare schemas inside groups', async () => {
+      server.group('/api', { headers: { 'X-Api': '1' } }, (g) => {
+        g.get('/users/:id', { id: '$params.id' });
+      });
+
+      expect((await server.handle('GET', '/api/users/4')).body).toEqual({ id: '4' });
+    });
+
+    it('should require a callback and string paths', () => {
+      expect(() => server.group('/api', {})).toThrow('Route group callback must be a function');
+      expect(() => server.group('/api', g => g.get(/x/, {}))).toThrow('Route groups only support string paths');
+    });
+  });
+
+  describe('registerGenerator', () => {
+    it('should scope generators to a single server', async () => {
+      server.registerGenerator('tenantId', () => 'acme').get('/me', { tenant: '{{tenantId}}' });
+      const other = createMockServer().get('/me', { tenant: '$tenantId' });
+
+      expect((await server.handle('GET', '/me')).body).toEqual({ tenant: 'acme' });
+      expect((await other.handle('GET', '/me')).body).toEqual({ tenant: '$tenantId' });
+    });
+  });
+
+  describe('locale', () => {
+    it('should generate data for the server locale unless a call names one', async () => {
+      const localized = createMockServer({ locale: 'pt-BR' })
+        .get('/me', { phone: '{{phone}}', date: '{{date("ja")}}' });
+
+      const response = await localized.handle('GET', '/me');
+
+      expect(response.body.phone).toMatch(/^\+55 /);
+      expect(response.body.date).toMatch(/^\d{4}\/\d{2}\/\d{2}$/);
+    });
+
+    it('should reject unknown locales', () => {
+      expect(() => createMockServer({ locale: 'xx' })).toThrow('Unknown locale: xx');
+    });
+  });
+
+  describe('seed', () => {
+    const schema = { id: '$uuid', name: '{{fullName}}', tags: [{ _count: 2, n: '$integer(1, 100)' }] };
+
+    it('should return identical responses for servers with the same seed', async () => {
+      const a = createMockServer({ seed: 42 }).get('/users', schema);
+      const b = createMockServer({ seed: 42 }).get('/users', schema);
+
+      const first = [await a.handle('GET', '/users'), await a.handle('GET', '/users')];
+      const second = [await b.handle('GET', '/users'), await b.handle('GET', '/users')];
+
+      expect(JSON.stringify(second)).toBe(JSON.stringify(first));
+      expect(first[0].body).not.toEqual(first[1].body);
+    });
+
+    it('should simulate the same errors for servers with the same seed', async () => {
+      const run = async () => {
+        const seeded = createMockServer({ seed: 42, errorRate: 0.5, errorStatus: [500, 503] }).get('/users', schema);
+        const responses = [];
+        for (let i = 0; i < 20; i++) {
+          responses.push(await seeded.handle('GET', '/users'));
+        }
+        return responses;
+      };
+
+      const first = await run();
+      const statuses = first.map(response => response.status);
+
+      expect(JSON.stringify(await run())).toBe(JSON.stringify(first));
+      expect(statuses).toContain(200);
+      expect(statuses.some(status => status >= 500)).toBe(true);
+    });
+
+    it('should give seeded routes their own sequence', async () => {
+      server.route('GET', '/a', { seed: 'a', schema }).route('GET', '/b', { schema });
+      const expected = await createMockServer().route('GET', '/a', { seed: 'a', schema }).handle('GET', '/a');
+
+      await server.handle('GET', '/b');
+      const response = await server.handle('GET', '/a');
+
+      expect(response.body).toEqual(expected.body);
+    });
+
+    it('should restart the sequence on reset', async () => {
+      const seeded = createMockServer({ seed: 1 }).get('/users', schema);
+      const first = await seeded.handle('GET', '/users');
+
+      seeded.reset().get('/users', schema);
+
+      expect((await seeded.handle('GET', '/users')).body).toEqual(first.body);
+    });
+  });
+
+  describe('jsonSchema routes', () => {
+    const userSchema = {
+      type: 'object',
+      required: ['id', 'email'],
+      properties: { id: { type: 'string', format: 'uuid' }, email: { type: 'string', format: 'email' } }
+    };
+
+    it('should generate responses that pass request validation with the same schema', async () => {
+      server.route('GET', '/users/:id', { jsonSchema: userSchema });
+
+      const response = await server.handle('GET', '/users/1');
+
+      expect(validate(response.body, userSchema).valid).toBe(true);
+    });
+
+    it('should let scenario responses replace the JSON Schema', async () => {
+      server.route('GET', '/users/:id', { jsonSchema: userSchema });
+      server.scenarios.define('gone', { response: { error: 'gone' } }).activate('gone');
+
+      expect((await server.handle('GET', '/users/1')).body).toEqual({ error: 'gone' });
+    });
+  });
+
+  describe('sequences', () => {
+    const ids = response => response.body.map(item => item.id);
+
+    it('should count per route by default', async () => {
+      const schema = { _repeat: 2, _template: { id: '{{sequence(\'user\')}}' } };
+      server.route('GET', '/a', { schema }).route('GET', '/b', { schema });
+
+      expect(ids(await server.handle('GET', '/a'))).toEqual([1, 2]);
+      expect(ids(await server.handle('GET', '/a'))).toEqual([3, 4]);
+      expect(ids(await server.handle('GET', '/b'))).toEqual([1, 2]);
+    });
+
+    it('should share server sequences between routes and servers keep their own', async () => {
+      const schema = { _repeat: 2, _template: { id: '$sequence(user, server)' } };
+      const other = createMockServer().route('GET', '/c', { schema });
+      server.route('GET', '/a', { schema }).route('GET', '/b', { schema });
+
+      expect(ids(await server.handle('GET', '/a'))).toEqual([1, 2]);
+      expect(ids(await server.handle('GET', '/b'))).toEqual([3, 4]);
+      expect(ids(await other.handle('GET', '/c'))).toEqual([1, 2]);
+    });
+
+    it('should restart sequences on reset', async () => {
+      const schema = { id: '{{sequence(\'user\', \'server\')}}' };
+      server.route('GET', '/a', { schema });
+      await server.handle('GET', '/a');
+
+      server.reset().route('GET', '/a', { schema });
+
+      expect((await server.handle('GET', '/a')).body.id).toBe(1);
+    });
+
+    it('should keep unique values unique within a response only', async () => {
+      server.route('GET', '/a', { schema: { _repeat: 3, _template: { n: '$unique(integer, 1, 3)' } } });
+
+      const first = await server.handle('GET', '/a');
+      const second = await server.handle('GET', '/a');
+
+      expect(first.body.map(item => item.n).sort()).toEqual([1, 2, 3]);
+      expect(second.body.map(item => item.n).sort()).toEqual([1, 2, 3]);
+    });
+
+    it('should fail the response when unique runs out of values', async () => {
+      server.route('GET', '/a', { schema: { _repeat: 3, _template: { b: '{{unique(\'boolean\')}}' } } });
+
+      await expect(server.handle('GET', '/a')).rejects.toThrow(GenerationError);
+    });
+
+    it('should resolve server generators inside unique', async () => {
+      server.registerGenerator('tier', () => generators.oneOf(['gold', 'silver']));
+      server.route('GET', '/a', { schema: { _repeat: 2, _template: { tier: '$unique(tier)' } } });
+
+      const response = await server.handle('GET', '/a');
+
+      expect(response.body.map(item => item.tier).sort()).toEqual(['gold', 'silver']);
+    });
+  });
+
+  describe('fixtures', () => {
+    beforeEach(() => {
+      server
+        .defineFactory('user', { id: '$sequence', name: '{{fullName}}' })
+        .defineFactory('order', { id: '$sequence', userId: ref('user.id') });
+    });
+
+    it('should seed related collections that routes can query', async () => {
+      server.seed({ user: 3, order: 10 });
+      server.route('GET', '/users/:id/orders', {
+        schema: { _computed: (obj, ctx) => ctx.fixtures.records('order').filter(order => String(order.userId) === ctx.params.id) }
+      });
+      server.route('GET', '/orders', { schema: { total: '$state.order.items.length', first: '$state.order.items.0' } });
+
+      const orders = server.fixtures.records('order');
+      const mine = await server.handle('GET', '/users/2/orders');
+      const all = await server.handle('GET', '/orders');
+
+      expect(mine.body).toEqual(orders.filter(order => order.userId === 2));
+      expect(all.body).toEqual({ total: 10, first: orders[0] });
+    });
+
+    it('should resolve refs in route schemas', async () => {
+      server.seed({ user: 2 });
+      server.route('GET', '/random-user', { schema: { id: ref('user.id') } });
+
+      const response = await server.handle('GET', '/random-user');
+
+      expect([1, 2]).toContain(response.body.id);
+    });
+
+    it('should use the server seed', () => {
+      const build = () => createMockServer({ seed: 9 })
+        .defineFactory('user', { id: '$uuid' })
+        .seed({ user: 3 })
+        .fixtures.records('user');
+
+      expect(build()).toEqual(build());
+    });
+
+    it('should see records seeded with the global factories', async () => {
+      defineFactory('customer', { id: '$sequence', name: '{{fullName}}' });
+      try {
+        const customers = seedFixtures({ customer: 3 }).customer;
+        const ids = customers.map(customer => customer.id);
+        server
+          .defineFactory('invoice', { id: '$sequence', customerId: ref('customer.id') })
+          .route('GET', '/customers/random', { schema: { id: ref('customer.id') } });
+
+        server.seed({ invoice: 5 });
+        const response = await server.handle('GET', '/customers/random');
+
+        expect(server.fixtures.records('customer')).toEqual(customers);
+        expect(server.fixtures.records('invoice')).toHaveLength(5);
+        server.fixtures.records('invoice').forEach(item => expect(ids).toContain(item.customerId));
+        expect(ids).toContain(response.body.id);
+      } finally {
+        defaultFixtures.factories.delete('customer');
+        defaultManager.deleteStore('customer');
+      }
+    });
+
+    it('should keep factories but drop seeded data on reset', () => {
+      server.seed({ user: 2 });
+      server.reset();
+
+      expect(server.fixtures.records('user')).toEqual([]);
+      expect(server.fixtures.has('user')).toBe(true);
+    });
+  });
+
+  describe('reset', () => {
+    it('should clear routes, scenarios and state', async () => {
+      server.route('GET', '/users', { body: [] });
+      server.scenarios.define('down', { statusCode: 503 }).activate('down');
+      server.state.createStore('users', { items: [] });
+
+      server.reset();
+
+      expect(server.router.getRoutes()).toHaveLength(0);
+      expect(server.scenarios.getActiveScenarios('/users')).toHaveLength(0);
+      expect(server.state.hasStore('users')).toBe(false);
+    });
+  });
+});
+
+describe('createSchema', () => {
+  it('should accept both schema syntaxes and request references', () => {
+    const schema = createSchema({
+      id: '$params.id',
+      name: '{{body.name}}',
+      tags: [{ _count: 2, value: '$integer(3, 3)' }],
+      items: { _repeat: 1, _template: { n: '{{integer(4, 4)}}' } }
+    });
+
+    expect(schema.generate({ params: { id: '1' }, body: { name: 'Ann' } })).toEqual({
+      id: '1',
+      name: 'Ann',
+      tags: [{ value: 3 }, { value: 3 }],
+      items: [{ n: 4 }]
+    });
+  });
+
+  it('should generate the same shape as a route schema', async () => {
+    const definition = { list: [{ _count: 2, ok: '$boolean' }] };
+    const server = createMockServer();
+    server.route('GET', '/things', { schema: definition });
+
+    const response = await server.handle('GET', '/things');
+
+    expect(response.body.list).toHaveLength(createSchema(definition).generate().list.length);
+  });
+});
@@ -1,4 +1,7 @@
-const { InterceptorChain, createInterceptorChain, builtInInterceptors } = require('../interceptor');
+const { InterceptorChain, createInterceptorChain, builtInInterceptors, createInterceptor } = require('../interceptor');
+const http = require('http');
+const https = require('https');
+const { createMockServer } = require('../index');
 
 describe('InterceptorChain', () => {
   let chain;
@@ -186,3 +189,196 @@ describe('builtInInterceptors', () => {
     });
   });
 });
+
+describe('FetchInterceptor', () => {
+  let server;
+  let originalFetch;
+  let realFetch;
+
+  beforeEach(() => {
+    originalFetch = globalThis.fetch;
+    realFetch = jest.fn(async () => new Response('real'));
+    globalThis.fetch = realFetch;
+    server = createMockServer();
+    server.get('/users/:id', ({ params }) => ({ id: params.id }));
+  });
+
+  afterEach(() => {
+    globalThis.fetch = originalFetch;
+  });
+
+  it('should answer matching requests with a Response', async () => {
+    const interceptor = server.interceptFetch({ baseUrl: 'https://api.example.com' });
+
+    const res = await fetch('https://api.example.com/users/3');
+    expect(res).toBeInstanceOf(Response);
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toMatch(/^application\/json/);
+    expect(await res.json()).toEqual({ id: '3' });
+    expect(realFetch).not.toHaveBeenCalled();
+
+    interceptor.restore();
+  });
+
+  it('should send JSON request bodies and query strings to the pipeline', async () => {
+    server.route('POST', '/users', { status: 201, body: (ctx) => ({ ...ctx.body, page: ctx.query.page }) });
+    const interceptor = createInterceptor(server);
+
+    const res = await fetch('http://localhost/users?page=2', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name: 'Alice' })
+    });
+    expect(res.status).toBe(201);
+    expect(await res.json()).toEqual({ name: 'Alice', page: '2' });
+
+    interceptor.restore();
+  });
+
+  it('should pass unmatched requests to the original fetch', async () => {
+    const interceptor = server.interceptFetch({ baseUrl: 'https://api.example.com' });
+
+    await fetch('https://api.example.com/orders');
+    await fetch('https://other.example.com/users/1');
+    expect(realFetch).toHaveBeenCalledTimes(2);
+
+    interceptor.restore();
+  });
+
+  it('should reject unmatched requests when passthrough is disabled', async () => {
+    const interceptor = server.interceptFetch({ passthrough: false });
+
+    await expect(fetch('https://api.example.com/orders')).rejects.toThrow('No mock registered for GET');
+    expect(realFetch).not.toHaveBeenCalled();
+
+    interceptor.restore();
+  });
+
+  it('should return null bodies for 204 responses', async () => {
+    server.route('DELETE', '/users/:id', { status: 204 });
+    const interceptor = server.interceptFetch();
+
+    const res = await fetch('http://localhost/users/1', { method: 'DELETE' });
+    expect(res.status).toBe(204);
+    expect(res.body).toBeNull();
+
+    interceptor.restore();
+  });
+
+  it('should restore the original fetch', () => {
+    const interceptor = server.interceptFetch();
+    expect(globalThis.fetch).not.toBe(realFetch);
+    expect(interceptor.installed).toBe(true);
+
+    interceptor.restore();
+    expect(globalThis.fetch).toBe(realFetch);
+    expect(interceptor.installed).toBe(false);
+  });
+
+  it('should ignore repeated install and restore calls', () => {
+    const interceptor = server.interceptFetch();
+    const patched = globalThis.fetch;
+    interceptor.install();
+    expect(globalThis.fetch).toBe(patched);
+
+    interceptor.restore().restore();
+    expect(globalThis.fetch).toBe(realFetch);
+  });
+});
+
+describe('HttpInterceptor', () => {
+  let server;
+  let interceptor;
+
+  const send = (module, url, options = {}, body) => new Promise((resolve, reject) => {
+    const req = module.request(url, options, (res) => {
+      let data = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ res, data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+
+  beforeEach(() => {
+    server = createMockServer();
+    server.get('/users/:id', ({ params }) => ({ id: params.id }));
+  });
+
+  afterEach(() => {
+    if (interceptor) {
+      interceptor.restore();
+      interceptor = null;
+    }
+  });
+
+  it('should answer matching https requests with an IncomingMessage', async () => {
+    interceptor = server.interceptHttp({ baseUrl: 'https://api.example.com' });
+
+    const { res, data } = await send(https, 'https://api.example.com/users/9');
+    expect(res).toBeInstanceOf(http.IncomingMessage);
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(JSON.parse(data)).toEqual({ id: '9' });
+  });
+
+  it('should send request bodies, headers and query strings to the pipeline', async () => {
+    server.route('POST', '/users', { status: 201, body: (ctx) => ({ body: ctx.body, page: ctx.query.page, token: ctx.headers['x-token'] }) });
+    interceptor = createInterceptor(server, { mode: 'http' });
+
+    const { res, data } = await send(http, 'http://localhost:8080/users?page=2', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Token': 'abc' }
+    }, JSON.stringify({ name: 'Alice' }));
+    expect(res.statusCode).toBe(201);
+    expect(JSON.parse(data)).toEqual({ body: { name: 'Alice' }, page: '2', token: 'abc' });
+  });
+
+  it('should support http.get', async () => {
+    interceptor = server.interceptHttp();
+
+    const data = await new Promise((resolve, reject) => {
+      http.get({ host: 'api.example.com', path: '/users/1' }, (res) => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve(body));
+      }).on('error', reject);
+    });
+    expect(JSON.parse(data)).toEqual({ id: '1' });
+  });
+
+  it('should pass unmatched requests to the network', async () => {
+    const upstream = createMockServer();
+    upstream.route('GET', '/health', { body: { upstream: true } });
+    const { url } = await upstream.listen(0);
+
+    try {
+      interceptor = server.interceptHttp({ baseUrl: 'https://api.example.com' });
+      const { data } = await send(http, `${url}/health`);
+      expect(JSON.parse(data)).toEqual({ upstream: true });
+    } finally {
+      await upstream.close();
+    }
+  });
+
+  it('should fail unmatched requests when passthrough is disabled', async () => {
+    interceptor = server.interceptHttp({ passthrough: false });
+
+    await expect(send(https, 'https://api.example.com/orders')).rejects.toMatchObject({ code: 'ENETUNREACH' });
+  });
+
+  it('should restore the original http and https functions', () => {
+    const originals = [http.request, http.get, https.request, https.get];
+    interceptor = server.interceptHttp();
+    expect(http.request).not.toBe(originals[0]);
+
+    interceptor.restore();
+    expect([http.request, http.get, https.request, https.get]).toEqual(originals);
+    expect(interceptor.installed).toBe(false);
+  });
+
+  it('should reject unknown interceptor modes', () => {
+    expect(() => createInterceptor(server, { mode: 'xhr' })).toThrow('Unknown interceptor mode: xhr');
+  });
+});
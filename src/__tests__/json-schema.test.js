@@ -0,0 +1,107 @@
+const { generateFromJsonSchema } = require('../json-schema');
+const { validate, ValidationError } = require('../validator');
+const { GeneratorRegistry, globalRegistry } = require('../generator-registry');
+const { seed } = require('../random');
+
+describe('generateFromJsonSchema', () => {
+  const userSchema = {
+    type: 'object',
+    required: ['id', 'email', 'name', 'age', 'tags'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      email: { type: 'string', format: 'email' },
+      createdAt: { type: 'string', format: 'date-time' },
+      website: { type: 'string', format: 'uri' },
+      ip: { type: 'string', format: 'ipv4' },
+      sku: { type: 'string', pattern: '^[A-Z]{3}-\\d{4}$' },
+      name: { type: 'string', minLength: 2, maxLength: 10 },
+      age: { type: 'integer', minimum: 18, maximum: 21, exclusiveMaximum: true },
+      score: { type: 'number', minimum: 0, maximum: 1 },
+      rank: { type: 'integer', multipleOf: 5 },
+      role: { enum: ['admin', 'user'] },
+      tags: { type: 'array', items: { type: 'string', enum: ['a', 'b', 'c'] }, minItems: 3, uniqueItems: true },
+      extra: { type: 'object', minProperties: 2, additionalProperties: { type: 'boolean' } },
+      deleted: { type: 'null' }
+    }
+  };
+
+  afterEach(() => {
+    seed();
+  });
+
+  it('should generate data that passes validate()', () => {
+    for (let i = 0; i < 50; i++) {
+      expect(validate(generateFromJsonSchema(userSchema), userSchema)).toEqual({ valid: true, errors: [] });
+    }
+  });
+
+  it('should map formats to generators', () => {
+    const data = generateFromJsonSchema(userSchema);
+
+    expect(data.id).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    expect(data.email).toMatch(/^[^\s@]+@[^\s@]+\.[^\s@]+$/);
+    expect(new Date(data.createdAt).toISOString()).toBe(data.createdAt);
+    expect(data.website).toMatch(/^https:\/\//);
+    expect(data.ip.split('.')).toHaveLength(4);
+    expect(data.sku).toMatch(/^[A-Z]{3}-\d{4}$/);
+  });
+
+  it('should honour const, type lists and inferred types', () => {
+    expect(generateFromJsonSchema({ const: 'fixed' })).toBe('fixed');
+    expect(typeof generateFromJsonSchema({ type: ['integer', 'boolean'] })).toMatch(/^(number|boolean)$/);
+    expect(generateFromJsonSchema({ properties: { a: { type: 'integer' } } })).toEqual({ a: expect.any(Number) });
+    expect(Array.isArray(generateFromJsonSchema({ minItems: 1 }))).toBe(true);
+  });
+
+  it('should respect length limits on pattern strings', () => {
+    const long = { type: 'string', pattern: '^\\d+$', minLength: 30 };
+    const short = { type: 'string', pattern: '^[a-z]+$', maxLength: 3 };
+    for (let i = 0; i < 20; i++) {
+      expect(validate(generateFromJsonSchema(long), long).valid).toBe(true);
+      expect(validate(generateFromJsonSchema(short), short).valid).toBe(true);
+    }
+    expect(generateFromJsonSchema({ type: 'string', pattern: '^\\d+$', minLength: 12, maxLength: 12 })).toMatch(/^\d{12}$/);
+  });
+
+  it('should generate decimal multiples that pass validate()', () => {
+    const price = { type: 'number', minimum: 0, maximum: 10, multipleOf: 0.01 };
+    for (let i = 0; i < 200; i++) {
+      const value = generateFromJsonSchema(price);
+      expect(validate(value, price).valid).toBe(true);
+      expect(String(value)).toMatch(/^\d+(\.\d{1,2})?$/);
+    }
+    expect(generateFromJsonSchema({ type: 'number', minimum: 1, maximum: 1, multipleOf: 0.25 })).toBe(1);
+  });
+
+  it('should drop optional properties beyond maxProperties', () => {
+    const schema = { type: 'object', required: ['a'], maxProperties: 1, properties: { a: { type: 'string' }, b: { type: 'string' } } };
+    expect(Object.keys(generateFromJsonSchema(schema))).toEqual(['a']);
+  });
+
+  it('should be reproducible with a seed', () => {
+    seed(7);
+    const first = generateFromJsonSchema(userSchema);
+    seed(7);
+    expect(generateFromJsonSchema(userSchema)).toEqual(first);
+  });
+
+  it('should resolve format generators from the given registry', () => {
+    const registry = new GeneratorRegistry(globalRegistry);
+    registry.register('email', () => 'fixed@example.com', { override: true });
+
+    expect(generateFromJsonSchema({ type: 'string', format: 'email' }, { generators: registry })).toBe('fixed@example.com');
+  });
+
+  it('should throw for schemas no value can satisfy', () => {
+    expect(() => generateFromJsonSchema({ type: 'string', minLength: 5, maxLength: 2 })).toThrow(ValidationError);
+    expect(() => generateFromJsonSchema({
+      type: 'object',
+      properties: { code: { type: 'array', items: { enum: ['x'] }, minItems: 2, uniqueItems: true } }
+    })).toThrow('Cannot generate data for JSON Schema');
+  });
+
+  it('should reject non-object schemas', () => {
+    expect(() => generateFromJsonSchema(null)).toThrow('JSON Schema must be an object');
+  });
+});
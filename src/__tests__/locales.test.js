@@ -0,0 +1,94 @@
+const { LOCALES, resolveLocale, getLocaleData, registerLocale, setLocale, getLocale, withLocale } = require('../locales');
+const generators = require('../generators');
+
+describe('locales', () => {
+  afterEach(() => {
+    setLocale('en-US');
+  });
+
+  describe('resolveLocale()', () => {
+    it('should match codes case-insensitively and by language', () => {
+      expect(resolveLocale('de-DE')).toBe('de-DE');
+      expect(resolveLocale('pt_br')).toBe('pt-BR');
+      expect(resolveLocale('ja')).toBe('ja-JP');
+      expect(resolveLocale('ar-EG')).toBe('ar-SA');
+    });
+
+    it('should throw for unknown locales', () => {
+      expect(() => resolveLocale('xx')).toThrow('Unknown locale: xx');
+      expect(() => resolveLocale('')).toThrow('Locale must be a non-empty string');
+    });
+  });
+
+  describe('getLocaleData()', () => {
+    it('should fall back to en-US for missing categories', () => {
+      expect(LOCALES['de-DE'].nameFormat).toBeUndefined();
+      expect(getLocaleData('nameFormat', 'de')).toBe('{first} {last}');
+    });
+
+    it('should follow a custom fallback chain', () => {
+      registerLocale('de-AT', { fallback: 'de-DE', phoneFormats: ['+43 1 #######'] });
+
+      expect(getLocaleData('phoneFormats', 'de-AT')).toEqual(['+43 1 #######']);
+      expect(getLocaleData('dateFormat', 'de-AT')).toBe('DD.MM.YYYY');
+      delete LOCALES['de-AT'];
+    });
+
+    it('should use the active locale by default', () => {
+      setLocale('ja');
+      expect(getLocale()).toBe('ja-JP');
+      expect(getLocaleData('dateFormat')).toBe('YYYY/MM/DD');
+    });
+  });
+
+  it('should validate registered packs', () => {
+    expect(() => registerLocale('French', {})).toThrow('Locale code must look like "xx" or "xx-YY"');
+    expect(() => registerLocale('fr-FR', null)).toThrow('Locale pack must be an object');
+    expect(() => registerLocale('fr-FR', { fallback: 'zz' })).toThrow('Unknown locale: zz');
+  });
+
+  it('should restore the previous locale after withLocale', () => {
+    const name = withLocale('ar', () => generators.firstName());
+
+    expect(LOCALES['ar-SA'].firstNames).toContain(name);
+    expect(getLocale()).toBe('en-US');
+  });
+});
+
+describe('locale-aware generators', () => {
+  it('should use non-Latin scripts and name order', () => {
+    const name = generators.fullName('ja');
+    const [last, first] = name.split(' ');
+
+    expect(LOCALES['ja-JP'].lastNames).toContain(last);
+    expect(LOCALES['ja-JP'].firstNames).toContain(first);
+    expect(generators.lastName('ar')).toMatch(/^[؀-ۿ]+$/);
+  });
+
+  it('should format phone numbers per country', () => {
+    expect(generators.phone()).toMatch(/^\+1-[2-9]\d{2}-[2-9]\d{2}-\d{4}$/);
+    expect(generators.phone('de')).toMatch(/^\+49 \d{2,3} \d{7,8}$/);
+    expect(generators.phone('ja')).toMatch(/^\+81 \d{1,2}-\d{4}-\d{4}$/);
+    expect(generators.phone('pt-BR')).toMatch(/^\+55 \d{2} \d{4,5}-\d{4}$/);
+    expect(generators.phone('ar-SA')).toMatch(/^\+966 \d{2} \d{3} \d{4}$/);
+  });
+
+  it('should format postcodes per country', () => {
+    expect(generators.postcode('de')).toMatch(/^[2-9]\d{4}$/);
+    expect(generators.postcode('ja')).toMatch(/^\d{3}-\d{4}$/);
+    expect(generators.postcode('pt-BR')).toMatch(/^\d{5}-\d{3}$/);
+  });
+
+  it('should format dates per country', () => {
+    expect(generators.date('de')).toMatch(/^\d{2}\.\d{2}\.\d{4}$/);
+    expect(generators.date('ja')).toMatch(/^\d{4}\/\d{2}\/\d{2}$/);
+    expect(generators.date('en-US')).toMatch(/^\d{2}\/\d{2}\/\d{4}$/);
+    expect(generators.date({ locale: 'de' })).toMatch(/^\d{2}\.\d{2}\.\d{4}$/);
+    expect(generators.date('now')).toMatch(/^\d{4}-\d{2}-\d{2}T/);
+    expect(new Date(generators.date()).toISOString()).toBeDefined();
+  });
+
+  it('should keep email addresses ASCII', () => {
+    expect(withLocale('ja', () => generators.email())).toMatch(/^[a-z.]+\d*@[a-z.]+$/);
+  });
+});
@@ -0,0 +1,98 @@
+const { RandomSource, createRandom, random, now, seed, withRandom, hashSeed } = require('../random');
+const generators = require('../generators');
+
+describe('RandomSource', () => {
+  afterEach(() => {
+    seed();
+  });
+
+  it('should produce the reference mulberry32 sequence', () => {
+    const source = createRandom(42);
+    expect(source.next()).toBe(0.6011037519201636);
+    expect(source.next()).toBe(0.44829055899754167);
+  });
+
+  it('should repeat a sequence after reseeding', () => {
+    const source = new RandomSource('demo');
+    const first = [source.next(), source.next(), source.next()];
+
+    source.reseed('demo');
+
+    expect([source.next(), source.next(), source.next()]).toEqual(first);
+  });
+
+  it('should defer to Math.random when unseeded', () => {
+    const spy = jest.spyOn(Math, 'random').mockReturnValue(0.25);
+    const source = createRandom();
+
+    expect(source.seeded).toBe(false);
+    expect(source.next()).toBe(0.25);
+    spy.mockRestore();
+  });
+
+  it('should use a fixed reference time only when seeded', () => {
+    expect(createRandom(1).now()).toBe(Date.UTC(2024, 0, 1));
+    expect(Math.abs(createRandom().now() - Date.now())).toBeLessThan(1000);
+  });
+
+  it('should reject invalid seeds', () => {
+    expect(() => createRandom(NaN)).toThrow('Seed must be a finite number or a string');
+    expect(() => createRandom({})).toThrow('Seed must be a finite number or a string');
+  });
+
+  it('should hash string seeds to unsigned integers', () => {
+    expect(hashSeed('abc')).toBe(hashSeed('abc'));
+    expect(hashSeed('abc')).not.toBe(hashSeed('abd'));
+    expect(hashSeed(-1)).toBe(4294967295);
+  });
+});
+
+describe('seed', () => {
+  afterEach(() => {
+    seed();
+  });
+
+  it('should make generators deterministic', () => {
+    const run = () => [generators.uuid(), generators.fullName(), generators.email(), generators.date(), generators.float()];
+
+    generators.seed(42);
+    const first = run();
+    generators.seed(42);
+
+    expect(run()).toEqual(first);
+  });
+
+  it('should drive random() and now()', () => {
+    seed(7);
+    const value = random();
+    seed(7);
+
+    expect(random()).toBe(value);
+    expect(now()).toBe(Date.UTC(2024, 0, 1));
+  });
+
+  it('should not be callable as a schema generator', () => {
+    expect(Object.keys(generators)).not.toContain('seed');
+  });
+});
+
+describe('withRandom', () => {
+  it('should swap the active source for the duration of the call', () => {
+    const expected = createRandom(3).next();
+
+    expect(withRandom(createRandom(3), () => random())).toBe(expected);
+  });
+
+  it('should restore the previous source when the function throws', () => {
+    seed(5);
+    const expected = createRandom(5).next();
+
+    expect(() => withRandom(createRandom(1), () => { throw new Error('boom'); })).toThrow('boom');
+    expect(random()).toBe(expected);
+    seed();
+  });
+
+  it('should keep the current source when given null', () => {
+    expect(withRandom(null, () => 'ok')).toBe('ok');
+  });
+});
@@ -0,0 +1,93 @@
+const { createRequestMatcher, matchesValue } = require('../request-matcher');
+
+describe('createRequestMatcher', () => {
+  it('should throw for invalid definitions', () => {
+    expect(() => createRequestMatcher(null)).toThrow('Route match option must be an object');
+    expect(() => createRequestMatcher({ cookies: {} })).toThrow('Unknown match option(s): cookies');
+  });
+
+  describe('query', () => {
+    it('should match exact values', () => {
+      const matcher = createRequestMatcher({ query: { q: 'foo', page: 2 } });
+      expect(matcher.test({ query: { q: 'foo', page: '2' } })).toBe(true);
+      expect(matcher.test({ query: { q: 'bar', page: '2' } })).toBe(false);
+      expect(matcher.test({ query: { q: 'foo' } })).toBe(false);
+    });
+
+    it('should match RegExp and predicate values', () => {
+      const matcher = createRequestMatcher({ query: { q: /^fo/, page: value => Number(value) > 1 } });
+      expect(matcher.test({ query: { q: 'food', page: '3' } })).toBe(true);
+      expect(matcher.test({ query: { q: 'food', page: '1' } })).toBe(false);
+    });
+
+    it('should accept a predicate for the whole query', () => {
+      const matcher = createRequestMatcher({ query: query => 'debug' in query });
+      expect(matcher.test({ query: { debug: '' } })).toBe(true);
+      expect(matcher.test({ query: {} })).toBe(false);
+    });
+  });
+
+  describe('headers', () => {
+    it('should compare header names case-insensitively', () => {
+      const matcher = createRequestMatcher({ headers: { 'X-Tenant': 'acme' } });
+      expect(matcher.test({ headers: { 'x-tenant': 'acme' } })).toBe(true);
+      expect(matcher.test({ headers: { 'X-TENANT': 'acme' } })).toBe(true);
+      expect(matcher.test({ headers: {} })).toBe(false);
+    });
+  });
+
+  describe('body', () => {
+    it('should match bodies as a partial deep-equal', () => {
+      const matcher = createRequestMatcher({ body: { user: { role: 'admin' } } });
+      expect(matcher.test({ body: { user: { role: 'admin', name: 'Ann' }, extra: 1 } })).toBe(true);
+      expect(matcher.test({ body: { user: { role: 'guest' } } })).toBe(false);
+      expect(matcher.test({ body: undefined })).toBe(false);
+    });
+
+    it('should match text bodies with a RegExp', () => {
+      const matcher = createRequestMatcher({ body: /hello/ });
+      expect(matcher.test({ body: 'say hello' })).toBe(true);
+      expect(matcher.test({ body: 'bye' })).toBe(false);
+    });
+  });
+
+  it('should skip parts missing from the request', () => {
+    const matcher = createRequestMatcher({ query: { q: 'a' }, body: { id: 1 } });
+    expect(matcher.test({ query: { q: 'a' } })).toBe(true);
+    expect(matcher.test({})).toBe(true);
+  });
+
+  it('should count constraints', () => {
+    const matcher = createRequestMatcher({ query: { a: 1, b: 2 }, headers: { c: 3 }, body: { d: { e: 4 } } });
+    expect(matcher.constraints).toBe(4);
+  });
+
+  it('should produce equal keys for equal definitions', () => {
+    const pattern = /x/;
+    const a = createRequestMatcher({ query: { q: pattern } });
+    const b = createRequestMatcher({ query: { q: pattern } });
+    const c = createRequestMatcher({ query: { q: 'x' } });
+    expect(a.key).toBe(b.key);
+    expect(a.key).not.toBe(c.key);
+    expect(createRequestMatcher({ query: { q: 'x' } }).key).toBe(c.key);
+  });
+
+  it('should key function and RegExp matchers by identity', () => {
+    const keys = ['admin', 'guest'].map(role => createRequestMatcher({ headers: { 'x-role': v => v === role } }).key);
+    expect(keys[0]).not.toBe(keys[1]);
+    expect(createRequestMatcher({ query: { q: /x/ } }).key).not.toBe(createRequestMatcher({ query: { q: /x/ } }).key);
+  });
+});
+
+describe('matchesValue', () => {
+  it('should compare arrays element by element', () => {
+    expect(matchesValue([1, { a: 2 }], [1, { a: 2, b: 3 }])).toBe(true);
+    expect(matchesValue([1], [1, 2])).toBe(false);
+  });
+
+  it('should compare null strictly', () => {
+    expect(matchesValue(null, null)).toBe(true);
+    expect(matchesValue(null, 'null')).toBe(false);
+    expect(matchesValue('x', undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,253 @@
+const { ResponseHandler } = require('../response-handler');
+const { StateManager } = require('../state');
+const { parseArgs } = require('../schema');
+
+describe('ResponseHandler', () => {
+  let handler;
+
+  const respond = (config, context = {}, params = {}) => handler.handle({ config, params }, context);
+
+  beforeEach(() => {
+    handler = new ResponseHandler();
+  });
+
+  describe('handle()', () => {
+    it('should return status, headers and static body', async () => {
+      const response = await respond({ status: 201, headers: { 'X-A': '1' }, body: { ok: true } });
+      expect(response).toEqual({ status: 201, headers: { 'X-A': '1' }, body: { ok: true } });
+    });
+
+    it('should call body functions with the request context', async () => {
+      const response = await respond({ body: ctx => ctx.params.id }, {}, { id: '9' });
+      expect(response.body).toBe('9');
+    });
+
+    it('should return configured errors', async () => {
+      const response = await respond({ error: { status: 418, message: 'teapot' } });
+      expect(response).toEqual({ status: 418, headers: {}, body: { error: 'teapot' } });
+    });
+  });
+
+  describe('request references', () => {
+    const context = {
+      query: { page: '3' },
+      body: { user: { name: 'Ann', tags: ['a', 'b'] } },
+      headers: { 'x-request-id': 'req-1' }
+    };
+
+    it('should resolve $params, $query, $body and $headers', async () => {
+      const response = await respond({
+        schema: {
+          id: '$params.id',
+          page: '$query.page',
+          name: '$body.user.name',
+          firstTag: '$body.user.tags.0',
+          requestId: '$headers.X-Request-Id'
+        }
+      }, context, { id: '7' });
+
+      expect(response.body).toEqual({ id: '7', page: '3', name: 'Ann', firstTag: 'a', requestId: 'req-1' });
+    });
+
+    it('should resolve a whole source', async () => {
+      const response = await respond({ schema: { echo: '$body' } }, context);
+      expect(response.body.echo).toEqual(context.body);
+    });
+
+    it('should resolve missing references to undefined', async () => {
+      const response = await respond({ schema: { missing: '$body.nope.deeper' } }, context);
+      expect(response.body.missing).toBeUndefined();
+    });
+
+    it('should read from state stores', async () => {
+      const state = new StateManager();
+      state.createStore('users', { count: 2, items: [{ id: 1 }] });
+
+      const response = await respond({
+        schema: { count: '$state.users.count', first: '$state.users.items.0.id', all: '$state.users', none: '$state.orders.count' }
+      }, { state });
+
+      expect(response.body).toEqual({ count: 2, first: 1, all: { count: 2, items: [{ id: 1 }] }, none: undefined });
+    });
+
+    it('should read plain object state', async () => {
+      const response = await respond({ schema: { mode: '$state.mode' } }, { state: { mode: 'dark' } });
+      expect(response.body.mode).toBe('dark');
+    });
+
+    it('should leave unknown identifiers untouched', async () => {
+      const response = await respond({ schema: { price: '$5.00' } });
+      expect(response.body.price).toBe('$5.00');
+    });
+  });
+
+  describe('string templates', () => {
+    it('should interpolate references inside strings', async () => {
+      const response = await respond({
+        schema: { greeting: 'Hello {{body.name}}, page {{ query.page }}' }
+      }, { body: { name: 'Ann' }, query: { page: '2' } });
+
+      expect(response.body.greeting).toBe('Hello Ann, page 2');
+    });
+
+    it('should keep the raw value for a single template', async () => {
+      const response = await respond({ schema: { total: '{{body.total}}', user: '{{body.user}}' } }, { body: { total: 5, user: { id: 1 } } });
+      expect(response.body).toEqual({ total: 5, user: { id: 1 } });
+    });
+
+    it('should interpolate generators', async () => {
+      const response = await respond({ schema: { ref: 'ORD-{{uuid}}' } });
+      expect(response.body.ref).toMatch(/^ORD-[0-9a-f-]{36}$/);
+    });
+
+    it('should render missing values as empty and keep unknown templates', async () => {
+      const response = await respond({ schema: { text: '[{{body.missing}}] {{unknown}}' } }, { body: {} });
+      expect(response.body.text).toBe('[] {{unknown}}');
+    });
+
+    it('should stringify objects inside longer strings', async () => {
+      const response = await respond({ schema: { text: 'got {{body}}' } }, { body: { a: 1 } });
+      expect(response.body.text).toBe('got {"a":1}');
+    });
+  });
+
+  describe('generator arguments', () => {
+    it('should pass arguments to generators', async () => {
+      const response = await respond({
+        schema: { age: '$integer(18, 20)', words: '$lorem(3)', ratio: '$float(0,1,3)' }
+      });
+
+      expect(response.body.age).toBeGreaterThanOrEqual(18);
+      expect(response.body.age).toBeLessThanOrEqual(20);
+      expect(response.body.words.split(' ')).toHaveLength(3);
+      expect(response.body.ratio).toBeGreaterThanOrEqual(0);
+      expect(response.body.ratio).toBeLessThanOrEqual(1);
+      expect(String(response.body.ratio).split('.')[1]?.length || 0).toBeLessThanOrEqual(3);
+    });
+
+    it('should accept arguments in string templates', async () => {
+      const response = await respond({ schema: { label: 'Item {{integer(5, 5)}}', count: '{{integer(2, 2)}}' } });
+      expect(response.body).toEqual({ label: 'Item 5', count: 2 });
+    });
+
+    it('should still call generators without arguments', async () => {
+      const response = await respond({ schema: { bare: '$integer', empty: '$integer()' } });
+      expect(Number.isInteger(response.body.bare)).toBe(true);
+      expect(Number.isInteger(response.body.empty)).toBe(true);
+    });
+
+    it('should leave calls to unknown generators untouched', async () => {
+      const response = await respond({ schema: { value: '$nope(1)' } });
+      expect(response.body.value).toBe('$nope(1)');
+    });
+  });
+
+  describe('schema syntax', () => {
+    it('should repeat _count array items on every request', async () => {
+      const config = { schema: [{ _count: 3, id: '$uuid' }] };
+
+      const first = await respond(config);
+      const second = await respond(config);
+
+      expect(first.body).toHaveLength(3);
+      expect(second.body).toHaveLength(3);
+      expect(second.body[0]).toEqual({ id: expect.any(String) });
+    });
+
+    it('should not mutate the schema definition', async () => {
+      const schema = { users: [{ _count: 2, name: '{{firstName}}' }], list: { _repeat: 2, _template: { id: '$uuid' } } };
+      const copy = JSON.parse(JSON.stringify(schema));
+
+      await respond({ schema });
+
+      expect(schema).toEqual(copy);
+    });
+
+    it('should mix both syntaxes in one schema', async () => {
+      const response = await respond({
+        schema: { a: '{{integer(1, 1)}}', b: '$integer(2, 2)', list: { _repeat: 2, _template: { id: '$params.id' } } }
+      }, {}, { id: '5' });
+
+      expect(response.body).toEqual({ a: 1, b: 2, list: [{ id: '5' }, { id: '5' }] });
+    });
+
+    it('should take repeat counts from the request', async () => {
+      const config = { schema: { items: { _repeat: '$query.limit', _template: { id: '$uuid' } }, tags: [{ _count: '{{body.tags}}', name: 'x' }] } };
+
+      const none = await respond(config, { query: { limit: '0' }, body: { tags: 2 } });
+      const one = await respond(config, { query: { limit: '1' }, body: { tags: 0 } });
+      const many = await respond(config, { query: { limit: '25' }, body: {} });
+
+      expect(none.body).toEqual({ items: [], tags: [{ name: 'x' }, { name: 'x' }] });
+      expect(one.body.items).toHaveLength(1);
+      expect(one.body.tags).toEqual([]);
+      expect(many.body.items).toHaveLength(25);
+      expect(many.body.tags).toHaveLength(1);
+    });
+
+    it('should cap repeat counts taken from the request', async () => {
+      const response = await respond({ schema: { _repeat: '$query.limit', _template: 1 } }, { query: { limit: '1e9' } });
+      expect(response.body).toHaveLength(1000);
+    });
+
+    it('should keep empty arrays empty', async () => {
+      const response = await respond({ schema: { items: [] } });
+      expect(response.body.items).toEqual([]);
+    });
+
+    it('should accept JavaScript-style object and array arguments', async () => {
+      const response = await respond({
+        schema: { day: '$date({ from: "2021-05-06", to: "2021-05-06", format: "date" })', pick: '{{oneOf(["a"])}}' }
+      });
+
+      expect(response.body).toEqual({ day: '2021-05-06', pick: 'a' });
+      expect(parseArgs('[\'a\', 2], { from: \'-7d\', \'to\': \'now\' }')).toEqual([['a', 2], { from: '-7d', to: 'now' }]);
+    });
+
+    it('should keep _ordered date fields ascending', async () => {
+      const schema = {
+        _repeat: 20,
+        _template: {
+          _ordered: [['createdAt', 'updatedAt'], ['startsAt', 'endsAt']],
+          createdAt: '{{date}}',
+          updatedAt: '{{date}}',
+          startsAt: '$date({ format: "unix" })',
+          endsAt: '$date({ format: "unix" })'
+        }
+      };
+
+      const response = await respond({ schema });
+
+      response.body.forEach((item) => {
+        expect(Object.keys(item)).toEqual(['createdAt', 'updatedAt', 'startsAt', 'endsAt']);
+        expect(Date.parse(item.createdAt)).toBeLessThanOrEqual(Date.parse(item.updatedAt));
+        expect(item.startsAt).toBeLessThanOrEqual(item.endsAt);
+      });
+    });
+
+    it('should apply field modifiers in route schemas', async () => {
+      const response = await respond({
+        schema: {
+          nickname: { _optional: 1, _value: '{{firstName}}' },
+          address: { _nullable: 1, city: '{{city}}' },
+          role: { _oneOf: ['$params.role'] },
+          plan: { _pick: [{ weight: 1, value: 'pro' }] },
+          _ordered: ['createdAt', 'nickname'],
+          createdAt: '{{date}}'
+        }
+      }, {}, { role: 'admin' });
+
+      expect(response.body).toEqual({ address: null, role: 'admin', plan: 'pro', createdAt: expect.any(String) });
+    });
+
+    it('should warn when _ordered fields are not dates', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation();
+
+      const response = await respond({ schema: { _ordered: ['a', 'b'], a: 'later', b: 'sooner' } });
+
+      expect(response.body).toEqual({ a: 'later', b: 'sooner' });
+      expect(warnSpy).toHaveBeenCalledWith('Cannot order fields a, b: values are not dates');
+      warnSpy.mockRestore();
+    });
+  });
+});
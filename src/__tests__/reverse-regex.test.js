@@ -0,0 +1,84 @@
+const { compileRegex, generateFromRegex } = require('../reverse-regex');
+const generators = require('../generators');
+const { createSchema } = require('../schema');
+
+describe('reverse regex', () => {
+  const patterns = [
+    '^[A-Z]{3}-\\d{4}$',
+    '^(foo|bar)+baz?$',
+    '^\\w+@\\w+\\.(com|org|net)$',
+    '^[^a-z0-9]{5}$',
+    '^[\\d-]{3,6}$',
+    '^a.c*d{2,}$',
+    '^(?:ab|cd){2}[xyz]?$',
+    '^(?<q>[ab])x\\k<q>\\1$',
+    '^\\x41\\u00e9\\t\\s\\S$',
+    '^colou?r\\b$',
+    '^\\$\\d+\\.\\d{2}$',
+    '^[-a]+\\]$',
+    '^([01]?\\d|2[0-3]):[0-5]\\d$'
+  ];
+
+  it.each(patterns)('should generate strings matching %s', (pattern) => {
+    const generate = compileRegex(pattern);
+    const regex = new RegExp(pattern);
+    for (let i = 0; i < 25; i++) {
+      const value = generate();
+      expect(regex.test(value)).toBe(true);
+    }
+  });
+
+  it('should honour the i flag of RegExp patterns', () => {
+    const values = Array.from({ length: 30 }, () => generateFromRegex(/^abc$/i));
+    values.forEach(value => expect(value).toMatch(/^abc$/i));
+    expect(values.some(value => value !== 'abc')).toBe(true);
+  });
+
+  it('should cap unbounded repetition at min + maxRepeat', () => {
+    for (let i = 0; i < 25; i++) {
+      expect(generateFromRegex('^a+b*$', { maxRepeat: 2 }).length).toBeLessThanOrEqual(5);
+      expect(generateFromRegex('^x{3,}$', { maxRepeat: 0 })).toBe('xxx');
+    }
+  });
+
+  it('should use the seeded random source', () => {
+    generators.seed(9);
+    const first = generateFromRegex('[a-z]{12}');
+    generators.seed(9);
+    const second = generateFromRegex('[a-z]{12}');
+    generators.seed();
+
+    expect(second).toBe(first);
+  });
+
+  it('should reject invalid and unsupported patterns', () => {
+    expect(() => compileRegex('(a')).toThrow('Invalid regex /(a/: Unterminated group at position 2');
+    expect(() => compileRegex('[a')).toThrow('Unterminated character class');
+    expect(() => compileRegex('*a')).toThrow('Nothing to repeat');
+    expect(() => compileRegex('a{3,1}')).toThrow('Numbers out of order in quantifier');
+    expect(() => compileRegex('[z-a]')).toThrow('Character class range out of order');
+    expect(() => compileRegex('a(?=b)')).toThrow('Lookaround assertions are not supported');
+    expect(() => compileRegex('a\\B')).toThrow('\\B assertions are not supported');
+    expect(() => compileRegex(42)).toThrow('Regex pattern must be a string or RegExp');
+  });
+
+  describe('regex generator', () => {
+    it('should be usable from both schema syntaxes', () => {
+      const schema = createSchema({
+        sku: '{{regex(\'^[A-Z]{3}-\\d{4}$\')}}',
+        code: '$regex("[a-c]{2}", 0)',
+        label: 'Ref {{regex("\\d{3}")}}'
+      });
+
+      const value = schema.generate();
+
+      expect(value.sku).toMatch(/^[A-Z]{3}-\d{4}$/);
+      expect(value.code).toMatch(/^[a-c]{2}$/);
+      expect(value.label).toMatch(/^Ref \d{3}$/);
+    });
+
+    it('should accept an options object', () => {
+      expect(generators.regex({ pattern: 'z+', maxRepeat: 0 })).toBe('z');
+    });
+  });
+});
@@ -0,0 +1,335 @@
+const { Router } = require('../router');
+
+describe('Router', () => {
+  let router;
+
+  beforeEach(() => {
+    router = new Router();
+  });
+
+  describe('register()', () => {
+    it('should allow chaining', () => {
+      expect(router.register('GET', '/a', {})).toBe(router);
+    });
+
+    it('should reject paths that do not start with a slash', () => {
+      expect(() => router.register('GET', 'users', {})).toThrow('Route path must be a RegExp or a string starting with "/"');
+    });
+
+    it('should replace a route registered twice', () => {
+      router.register('GET', '/a', { body: 1 }).register('get', '/a', { body: 2 });
+      expect(router.getRoutes()).toHaveLength(1);
+      expect(router.match('GET', '/a').config.body).toBe(2);
+    });
+  });
+
+  describe('match()', () => {
+    it('should match static paths', () => {
+      router.register('GET', '/users', {});
+      expect(router.match('GET', '/users')).not.toBeNull();
+      expect(router.match('GET', '/users/1')).toBeNull();
+      expect(router.match('POST', '/users')).toBeNull();
+    });
+
+    it('should match the root path', () => {
+      router.register('GET', '/', {});
+      expect(router.match('GET', '/')).not.toBeNull();
+      expect(router.match('GET', '/a')).toBeNull();
+    });
+
+    it('should extract named params', () => {
+      router.register('GET', '/users/:userId/posts/:postId', {});
+      expect(router.match('GET', '/users/1/posts/2').params).toEqual({ userId: '1', postId: '2' });
+    });
+
+    it('should escape regex characters in static segments', () => {
+      router.register('GET', '/files/report.json', {});
+      expect(router.match('GET', '/files/report.json')).not.toBeNull();
+      expect(router.match('GET', '/files/reportxjson')).toBeNull();
+    });
+
+    it('should match optional params', () => {
+      router.register('GET', '/users/:id?', {});
+      expect(router.match('GET', '/users').params).toEqual({});
+      expect(router.match('GET', '/users/5').params).toEqual({ id: '5' });
+      expect(router.match('GET', '/users/5/6')).toBeNull();
+    });
+
+    it('should match the root for paths of only optional params', () => {
+      router.register('GET', '/:id?', {});
+      expect(router.match('GET', '/').params).toEqual({});
+      expect(router.match('GET', '/5').params).toEqual({ id: '5' });
+      expect(router.match('GET', '/5/6')).toBeNull();
+    });
+
+    it('should reject optional params mixed with literals', () => {
+      expect(() => router.register('GET', '/v:version?', {})).toThrow('Optional params must span a whole segment');
+    });
+
+    it('should apply inline constraints', () => {
+      router.register('GET', '/orders/:id(\\d+)', {});
+      expect(router.match('GET', '/orders/42').params).toEqual({ id: '42' });
+      expect(router.match('GET', '/orders/abc')).toBeNull();
+    });
+
+    it('should not let groups inside constraints shift params', () => {
+      router.register('GET', '/:kind(user|(team))/:id', {});
+      expect(router.match('GET', '/team/7').params).toEqual({ kind: 'team', id: '7' });
+    });
+
+    it('should match params mixed with literals in a segment', () => {
+      router.register('GET', '/api/v:version(\\d+)/files/:name.:ext', {});
+      expect(router.match('GET', '/api/v2/files/report.tar.gz').params)
+        .toEqual({ version: '2', name: 'report', ext: 'tar.gz' });
+    });
+
+    it('should match single-segment splats as numbered params', () => {
+      router.register('GET', '/assets/*/*', {});
+      expect(router.match('GET', '/assets/img/logo.png').params).toEqual({ 0: 'img', 1: 'logo.png' });
+      expect(router.match('GET', '/assets/img/a/b')).toBeNull();
+    });
+
+    it('should match multi-segment splats', () => {
+      router.register('GET', '/proxy/**', {});
+      expect(router.match('GET', '/proxy/a/b/c').params).toEqual({ 0: 'a/b/c' });
+      expect(router.match('GET', '/proxy').params).toEqual({});
+    });
+
+    it('should capture named splats', () => {
+      router.register('GET', '/files/**path', {});
+      expect(router.match('GET', '/files/docs/readme.md').params).toEqual({ path: 'docs/readme.md' });
+    });
+
+    it('should match RegExp paths and expose captures', () => {
+      router.register('GET', /^\/v(\d+)\/users\/(?<id>[^/]+)$/, {});
+      const match = router.match('GET', '/v3/users/abc');
+      expect(match.params).toEqual({ 0: '3', 1: 'abc', id: 'abc' });
+      expect(router.match('GET', '/vx/users/abc')).toBeNull();
+    });
+  });
+
+  describe('precedence', () => {
+    const paths = () => router.getRoutes().map(route => route.path);
+
+    it('should prefer static segments over params regardless of order', () => {
+      router.register('GET', '/users/:id', { body: 'param' });
+      router.register('GET', '/users/me', { body: 'static' });
+      expect(router.match('GET', '/users/me').config.body).toBe('static');
+      expect(router.match('GET', '/users/5').config.body).toBe('param');
+    });
+
+    it('should prefer params over splats', () => {
+      router.register('GET', '/files/**', { body: 'splat' });
+      router.register('GET', '/files/:name', { body: 'param' });
+      expect(router.match('GET', '/files/a').config.body).toBe('param');
+      expect(router.match('GET', '/files/a/b').config.body).toBe('splat');
+    });
+
+    it('should prefer constrained params over plain params', () => {
+      router.register('GET', '/orders/:slug', { body: 'slug' });
+      router.register('GET', '/orders/:id(\\d+)', { body: 'id' });
+      expect(router.match('GET', '/orders/12').config.body).toBe('id');
+      expect(router.match('GET', '/orders/abc').config.body).toBe('slug');
+    });
+
+    it('should compare segments from left to right', () => {
+      router.register('GET', '/:resource/me', {});
+      router.register('GET', '/users/:id', {});
+      expect(router.match('GET', '/users/me').path).toBe('/users/:id');
+    });
+
+    it('should prefer longer paths over shorter ones', () => {
+      router.register('GET', '/api/**', {});
+      router.register('GET', '/api/*/**', {});
+      expect(paths()).toEqual(['/api/*/**', '/api/**']);
+    });
+
+    it('should not count trailing optional segments as extra length', () => {
+      router.register('GET', '/users/:id?', {});
+      router.register('GET', '/users', {});
+      expect(router.match('GET', '/users').path).toBe('/users');
+    });
+
+    it('should rank RegExp routes after string routes', () => {
+      router.register('GET', /^\/.*$/, {});
+      router.register('GET', '/**', {});
+      expect(paths()).toEqual(['/**', /^\/.*$/]);
+    });
+
+    it('should let an explicit priority override specificity', () => {
+      router.register('GET', '/users/me', {});
+      router.register('GET', '/users/:id', { priority: 10 });
+      expect(router.match('GET', '/users/me').path).toBe('/users/:id');
+    });
+
+    it('should fall back to registration order for equally specific routes', () => {
+      router.register('GET', '/a/:x', {});
+      router.register('GET', '/a/:y', {});
+      expect(paths()).toEqual(['/a/:x', '/a/:y']);
+    });
+
+    it('should report the resolved order from getRoutes', () => {
+      router.register('GET', '/**', {});
+      router.register('GET', '/users/:id', {});
+      router.register('GET', '/users/me', {});
+      expect(paths()).toEqual(['/users/me', '/users/:id', '/**']);
+    });
+
+    it('should keep the original position when a route is re-registered', () => {
+      router.register('GET', '/a/:x', { body: 1 });
+      router.register('GET', '/a/:y', {});
+      router.register('GET', '/a/:x', { body: 2 });
+      expect(paths()).toEqual(['/a/:x', '/a/:y']);
+      expect(router.match('GET', '/a/1').config.body).toBe(2);
+    });
+  });
+
+  describe('trie matching', () => {
+    it('should keep separate trees per method', () => {
+      router.register('GET', '/users/:id', { body: 'get' });
+      router.register('PUT', '/users/:id', { body: 'put' });
+      expect(router.match('PUT', '/users/1').config.body).toBe('put');
+      expect(router.match('DELETE', '/users/1')).toBeNull();
+    });
+
+    it('should backtrack from a static branch to a param branch', () => {
+      router.register('GET', '/users/me/settings', {});
+      router.register('GET', '/users/:id/posts', {});
+      expect(router.match('GET', '/users/me/posts').params).toEqual({ id: 'me' });
+    });
+
+    it('should match splats in the middle of a path', () => {
+      router.register('GET', '/repos/**/blob/:file', {});
+      expect(router.match('GET', '/repos/a/b/blob/x.js').params).toEqual({ 0: 'a/b', file: 'x.js' });
+      expect(router.match('GET', '/repos/blob/x.js').params).toEqual({ file: 'x.js' });
+    });
+
+    it('should match constraints that span segments', () => {
+      router.register('GET', '/raw/:path(.*)', {});
+      expect(router.match('GET', '/raw/a/b/c').params).toEqual({ path: 'a/b/c' });
+    });
+
+    it('should reflect unregistered routes', () => {
+      router.register('GET', '/users/:id', {});
+      router.match('GET', '/users/1');
+      router.unregister('GET', '/users/:id');
+      expect(router.match('GET', '/users/1')).toBeNull();
+    });
+  });
+
+  describe('lookup cost', () => {
+    const registerRoutes = (count) => {
+      for (let i = 0; i < count; i++) {
+        router.register('GET', `/api/resource${i}`, {});
+        router.register('GET', `/api/resource${i}/:id`, {});
+        router.register('GET', `/api/resource${i}/:id/items/:itemId`, {});
+      }
+    };
+
+    const countRegexCalls = (path) => {
+      const spy = jest.spyOn(RegExp.prototype, 'exec');
+      try {
+        expect(router.match('GET', path)).not.toBeNull();
+        return spy.mock.calls.length;
+      } finally {
+        spy.mockRestore();
+      }
+    };
+
+    it('should not grow with the number of registered routes', () => {
+      registerRoutes(10);
+      router.match('GET', '/warmup');
+      const small = countRegexCalls('/api/resource5/42/items/7');
+
+      router.clear();
+      registerRoutes(1000);
+      router.match('GET', '/warmup');
+      const large = countRegexCalls('/api/resource500/42/items/7');
+
+      expect(router.getRoutes()).toHaveLength(3000);
+      expect(large).toBe(small);
+    });
+
+    it('should grow with the length of the request path', () => {
+      registerRoutes(1000);
+      router.match('GET', '/warmup');
+
+      const short = countRegexCalls('/api/resource500/42');
+      const long = countRegexCalls('/api/resource500/42/items/7');
+      expect(short).toBeLessThanOrEqual(3);
+      expect(long).toBeLessThanOrEqual(short + 2);
+    });
+  });
+
+  describe('request matchers', () => {
+    it('should register routes that differ only by matcher', () => {
+      router.register('GET', '/search', { match: { query: { q: 'foo' } }, body: 'foo' });
+      router.register('GET', '/search', { match: { query: { q: 'bar' } }, body: 'bar' });
+      expect(router.getRoutes()).toHaveLength(2);
+      expect(router.match('GET', '/search', { query: { q: 'bar' } }).config.body).toBe('bar');
+      expect(router.match('GET', '/search', { query: { q: 'baz' } })).toBeNull();
+    });
+
+    it('should keep closure predicates with the same source apart', () => {
+      for (const role of ['admin', 'guest']) {
+        router.register('GET', '/me', { match: { headers: { 'x-role': v => v === role } }, body: role });
+      }
+
+      expect(router.getRoutes()).toHaveLength(2);
+      expect(router.match('GET', '/me', { headers: { 'x-role': 'admin' } }).config.body).toBe('admin');
+      expect(router.match('GET', '/me', { headers: { 'x-role': 'guest' } }).config.body).toBe('guest');
+    });
+
+    it('should prefer the most constrained route that matches', () => {
+      router.register('POST', '/login', { body: 'any' });
+      router.register('POST', '/login', { match: { body: { user: 'admin' } }, body: 'admin' });
+      router.register('POST', '/login', { match: { body: { user: 'admin' }, headers: { 'x-otp': /\d+/ } }, body: 'otp' });
+
+      expect(router.match('POST', '/login', { headers: {}, body: { user: 'bob' } }).config.body).toBe('any');
+      expect(router.match('POST', '/login', { headers: {}, body: { user: 'admin' } }).config.body).toBe('admin');
+      expect(router.match('POST', '/login', { headers: { 'X-OTP': '123' }, body: { user: 'admin' } }).config.body).toBe('otp');
+    });
+
+    it('should rank path specificity above matcher constraints', () => {
+      router.register('GET', '/users/:id', { match: { query: { a: '1' } } });
+      router.register('GET', '/users/me', {});
+      expect(router.match('GET', '/users/me', { query: { a: '1' } }).path).toBe('/users/me');
+    });
+
+    it('should unregister a single matcher variant or all of them', () => {
+      router.register('GET', '/search', {});
+      router.register('GET', '/search', { match: { query: { q: 'a' } } });
+      router.register('GET', '/search', { match: { query: { q: 'b' } } });
+
+      expect(router.unregister('GET', '/search', { query: { q: 'a' } })).toBe(true);
+      expect(router.getRoutes()).toHaveLength(2);
+      expect(router.unregister('GET', '/search')).toBe(true);
+      expect(router.getRoutes()).toHaveLength(0);
+    });
+  });
+
+  describe('allowedMethods()', () => {
+    it('should list methods registered for a path with implied HEAD and OPTIONS', () => {
+      router.register('GET', '/users/:id', {});
+      router.register('DELETE', '/users/:id', {});
+      router.register('POST', '/users', {});
+      expect(router.allowedMethods('/users/1')).toEqual(['DELETE', 'GET', 'HEAD', 'OPTIONS']);
+      expect(router.allowedMethods('/users')).toEqual(['OPTIONS', 'POST']);
+    });
+
+    it('should return an empty list for unknown paths', () => {
+      router.register('GET', '/users', {});
+      expect(router.allowedMethods('/orders')).toEqual([]);
+    });
+  });
+
+  describe('unregister()', () => {
+    it('should remove string and RegExp routes', () => {
+      const regex = /^\/a$/;
+      router.register('GET', '/b', {}).register('GET', regex, {});
+      expect(router.unregister('GET', '/b')).toBe(true);
+      expect(router.unregister('GET', regex)).toBe(true);
+      expect(router.getRoutes()).toHaveLength(0);
+    });
+  });
+});
@@ -70,7 +70,29 @@ describe('Schema', () => {
         }
       });
       const result = schema.generate();
-      expect(result.items).toHaveLength(1);
+      expect(result.items).toEqual([]);
+    });
+
+    it('should handle _repeat and _count ranges', () => {
+      const schema = createSchema({
+        items: { _repeat: { min: 0, max: 3 }, _template: { tags: [{ _count: { min: 1, max: 2 }, id: '{{uuid}}' }] } },
+        exact: { _repeat: { min: 2 }, _template: 1 }
+      });
+      const lengths = new Set();
+
+      for (let i = 0; i < 100; i++) {
+        const result = schema.generate();
+        lengths.add(result.items.length);
+        result.items.forEach(item => expect([1, 2]).toContain(item.tags.length));
+        expect(result.exact).toEqual([1, 1]);
+      }
+
+      expect(lengths).toEqual(new Set([0, 1, 2, 3]));
+    });
+
+    it('should reject invalid repeat ranges', () => {
+      expect(() => createSchema({ items: { _repeat: { min: 3, max: 1 }, _template: 1 } })).toThrow('Repeat range must have integer bounds with 0 <= min <= max');
+      expect(() => createSchema({ items: [{ _count: { min: -1 }, id: 1 }] })).toThrow('Repeat range');
     });
 
     it('should process nested objects correctly', () => {
@@ -100,6 +122,121 @@ describe('Schema', () => {
     });
   });
 
+  describe('modifiers', () => {
+    afterEach(() => {
+      generators.seed();
+    });
+
+    it('should omit _optional fields and null _nullable ones', () => {
+      const schema = createSchema({
+        always: { _optional: 0, _value: 1 },
+        never: { _optional: 1, _value: 1 },
+        empty: { _nullable: 1, city: '{{city}}' },
+        kept: { _nullable: 0, city: 'Rome' }
+      });
+
+      expect(schema.generate()).toEqual({ always: 1, empty: null, kept: { city: 'Rome' } });
+    });
+
+    it('should honour modifier probabilities', () => {
+      const schema = createSchema({ items: [{ _count: 1000, nick: { _optional: 0.3, _value: 'x' } }] });
+      const missing = schema.generate().items.filter(item => !('nick' in item)).length;
+
+      expect(missing).toBeGreaterThan(200);
+      expect(missing).toBeLessThan(400);
+    });
+
+    it('should drop omitted array items', () => {
+      const schema = createSchema({ list: [1, { _optional: 1, _value: 2 }, 3], repeated: { _repeat: 3, _template: { _optional: 1, _value: 0 } } });
+      expect(schema.generate()).toEqual({ list: [1, 3], repeated: [] });
+    });
+
+    it('should pick _oneOf alternatives', () => {
+      const schema = createSchema({ items: [{ _count: 50, status: { _oneOf: ['active', { state: 'banned' }] } }] });
+      const statuses = schema.generate().items.map(item => JSON.stringify(item.status));
+
+      expect(new Set(statuses)).toEqual(new Set(['"active"', '{"state":"banned"}']));
+    });
+
+    it('should pick _pick alternatives by weight', () => {
+      const schema = createSchema({
+        items: [{ _count: 1000, tier: { _pick: [{ weight: 9, value: 'free' }, { weight: 1, value: 'paid' }, { weight: 0, value: 'never' }] } }]
+      });
+      const tiers = schema.generate().items.map(item => item.tier);
+      const paid = tiers.filter(tier => tier === 'paid').length;
+
+      expect(tiers).not.toContain('never');
+      expect(paid).toBeGreaterThan(50);
+      expect(paid).toBeLessThan(150);
+    });
+
+    it('should repeat modifier outcomes with the same seed', () => {
+      const schema = createSchema({ items: [{ _count: 20, a: { _optional: 0.5, _value: 1 }, b: { _nullable: 0.5, _value: 2 }, c: { _oneOf: [1, 2, 3] } }] });
+
+      generators.seed(11);
+      const first = schema.generate();
+      generators.seed(11);
+
+      expect(schema.generate()).toEqual(first);
+    });
+
+    it('should reject invalid modifiers', () => {
+      expect(() => createSchema({ a: { _optional: 2, _value: 1 } })).toThrow('_optional must be a probability between 0 and 1');
+      expect(() => createSchema({ a: { _oneOf: [] } })).toThrow('_oneOf must be a non-empty array of alternatives');
+      expect(() => createSchema({ a: { _pick: [{ weight: 0, value: 1 }] } })).toThrow('_pick must be a non-empty array');
+    });
+  });
+
+  describe('computed fields', () => {
+    it('should resolve this references after the referenced fields', () => {
+      const result = createSchema({
+        fullName: '{{this.firstName}} {{this.lastName}}',
+        initial: '$this.firstName.0',
+        firstName: '{{firstName}}',
+        lastName: '{{lastName}}'
+      }).generate();
+
+      expect(result.fullName).toBe(`${result.firstName} ${result.lastName}`);
+      expect(result.initial).toBe(result.firstName[0]);
+      expect(Object.keys(result)).toEqual(['fullName', 'initial', 'firstName', 'lastName']);
+    });
+
+    it('should call _computed with the object and context', () => {
+      const schema = createSchema({
+        total: { _computed: obj => obj.items.reduce((sum, item) => sum + item.price, 0) },
+        items: [{ _count: 3, price: '$integer(1, 10)' }],
+        label: { _computed: (obj, ctx) => `${ctx.params.id}:${obj.total}` }
+      });
+
+      const result = schema.generate({ params: { id: 'order-1' } });
+
+      expect(result.total).toBe(result.items.reduce((sum, item) => sum + item.price, 0));
+      expect(result.label).toBe(`order-1:${result.total}`);
+    });
+
+    it('should scope this to the nearest object', () => {
+      const result = createSchema({
+        name: 'outer',
+        child: { name: 'inner', label: '{{this.name}}' },
+        items: { _repeat: 2, _template: { id: '$sequence(item, global)', ref: 'item-{{this.id}}' } },
+        copy: { _optional: 0, _value: '$this.name' }
+      }).generate();
+
+      expect(result.child.label).toBe('inner');
+      expect(result.items.map(item => item.ref)).toEqual(['item-1', 'item-2']);
+      expect(result.copy).toBe('outer');
+    });
+
+    it('should detect circular references', () => {
+      const schema = createSchema({ a: '{{this.b}}', b: { _computed: obj => obj.c }, c: '$this.a' });
+      expect(() => schema.generate()).toThrow('Circular field reference: a -> b -> c -> a');
+    });
+
+    it('should reject non-function _computed values', () => {
+      expect(() => createSchema({ a: { _computed: 'nope' } })).toThrow('_computed must be a function (obj, ctx) => value');
+    });
+  });
+
   describe('parseArgs', () => {
     it('should handle empty argument string', () => {
       const schema = new Schema({});
@@ -109,6 +109,13 @@ describe('Validator', () => {
       expect(validate(10, schema).valid).toBe(true);
       expect(() => validate(7, schema)).toThrow(ValidationError);
     });
+
+    it('should validate decimal multipleOf', () => {
+      const schema = { type: 'number', multipleOf: 0.01 };
+      expect(validate(0.07, schema).valid).toBe(true);
+      expect(validate(19.99, schema).valid).toBe(true);
+      expect(() => validate(0.075, schema)).toThrow(ValidationError);
+    });
   });
 
   describe('array validation', () => {
@@ -3,6 +3,8 @@
  * @module errors
  */
 
+const { random } = require('./random');
+
 /**
  * Standard HTTP error definitions
  * @type {Object.<number, {status: number, message: string}>}
@@ -59,7 +61,8 @@ class MockApiError extends Error {
 }
 
 /**
- * Create an error simulator based on configuration
+ * Create an error simulator based on configuration. Decisions come from the
+ * active random source, so seeded servers fail the same requests every run.
  * @param {Object} config - Error simulation configuration
  * @param {number} [config.rate=0] - Error rate (0-1)
  * @param {number|number[]} [config.status=500] - Status code(s) to return
@@ -69,9 +72,9 @@ function createErrorSimulator(config = {}) {
   const { rate = 0, status = 500 } = config;
 
   return () => {
-    if (Math.random() < rate) {
+    if (random() < rate) {
       const errorStatus = Array.isArray(status)
-        ? status[Math.floor(Math.random() * status.length)]
+        ? status[Math.floor(random() * status.length)]
         : status;
 
       throw new MockApiError(errorStatus);
@@ -85,7 +88,7 @@ function createErrorSimulator(config = {}) {
  * @returns {boolean} True if error should occur
  */
 function shouldError(rate) {
-  return Math.random() < rate;
+  return random() < rate;
 }
 
 /**
@@ -94,7 +97,7 @@ function shouldError(rate) {
  * @returns {number} Random status code
  */
 function randomErrorStatus(statuses = [500]) {
-  return statuses[Math.floor(Math.random() * statuses.length)];
+  return statuses[Math.floor(random() * statuses.length)];
 }
 
 module.exports = {
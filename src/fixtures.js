@@ -0,0 +1,249 @@
+/**
+ * Fixture factories for related collections.
+ * A factory is a schema for one record; `ref('user.id')` points a field at
+ * a record of another factory. Seeding generates the requested counts in
+ * dependency order and stores each collection in a state store as
+ * `{ items: [...] }`, so route schemas can read it with `$state.user.items`
+ * or pick related records with `ref()`. A server's graph falls back to the
+ * default graph, so records seeded with `seedFixtures()` are visible to
+ * `ref()` and `fixtures.records()` in every server; `$state` only reads the
+ * server's own stores.
+ */
+
+const { compileSchema } = require('./schema');
+const { globalRegistry } = require('./generator-registry');
+const { SequenceStore, withGenerationScope } = require('./sequences');
+const { random } = require('./random');
+const { defaultManager } = require('./state');
+
+const REF_PATTERN = /^\w+(\.\w+)*$/;
+
+class FixtureGraph {
+  /**
+   * @param {Object} [options={}] - Graph options
+   * @param {GeneratorRegistry} [options.generators] - Registry factory schemas resolve generators from; defaults to the global one
+   * @param {StateManager} [options.state] - Manager holding the seeded stores; defaults to the shared one
+   * @param {FixtureGraph} [options.parent] - Graph to fall back to for factories not defined here
+   */
+  constructor(options = {}) {
+    this.generators = options.generators || globalRegistry;
+    this.state = options.state || defaultManager;
+    this.parent = options.parent || null;
+    this.factories = new Map();
+  }
+
+  /**
+   * Define or replace a factory
+   * @param {string} name - Factory name, used by ref('name.field')
+   * @param {Object} definition - Schema for one record
+   * @param {Object} [options={}] - Factory options
+   * @param {string} [options.store] - State store for seeded records; defaults to the factory name
+   * @returns {FixtureGraph} This graph for chaining
+   * @example
+   * fixtures
+   *   .define('user', { id: '$sequence', name: '{{fullName}}' })
+   *   .define('order', { id: '$sequence', userId: ref('user.id') });
+   */
+  define(name, definition, options = {}) {
+    if (typeof name !== 'string' || !/^\w+$/.test(name)) {
+      throw new Error('Factory name must contain only letters, digits and underscores');
+    }
+    if (definition === null || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error(`Factory "${name}" definition must be an object`);
+    }
+
+    this.factories.set(name, {
+      name,
+      store: options.store || name,
+      generate: compileSchema(definition, { generators: this.generators }),
+      dependencies: [...collectRefs(definition)],
+      sequences: new SequenceStore()
+    });
+    return this;
+  }
+
+  /**
+   * Look up a factory here or in the parent graph
+   * @param {string} name - Factory name
+   * @returns {Object|undefined}
+   */
+  get(name) {
+    return this.factories.get(name) || (this.parent ? this.parent.get(name) : undefined);
+  }
+
+  /**
+   * Check if a factory is defined here or in the parent graph
+   * @param {string} name - Factory name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.get(name) !== undefined;
+  }
+
+  /**
+   * Seeded records of a factory, read from its state store. Factories
+   * inherited from the parent graph use the parent's records unless they
+   * were seeded through this graph.
+   * @param {string} name - Factory name
+   * @returns {Array<Object>}
+   */
+  records(name) {
+    const local = this.factories.get(name);
+    const factory = local || this.get(name);
+    const store = factory ? this.state.getStore(factory.store) : undefined;
+    const state = store ? store.getState() : null;
+    const items = state && Array.isArray(state.items) ? state.items : [];
+
+    if (items.length > 0 || local || !this.parent) {
+      return items;
+    }
+    return this.parent.records(name);
+  }
+
+  /**
+   * Generate records for several factories and store them, replacing any
+   * records those factories had. Referenced factories are generated first;
+   * factories left out of the counts are referenced through their stored
+   * records. `sequence` counters restart per factory, so `$sequence` ids run
+   * from 1 in every collection.
+   * @param {Object.<string, number>} counts - Records to generate per factory
+   * @returns {Object.<string, Array<Object>>} Generated records by factory name
+   * @throws {Error} For unknown factories, invalid counts, circular references or references to empty factories
+   * @example
+   * fixtures.seed({ user: 10, order: 50 });
+   * // every order.userId is the id of one of the 10 users
+   */
+  seed(counts) {
+    if (counts === null || typeof counts !== 'object' || Array.isArray(counts)) {
+      throw new Error('Seed counts must be an object of factory names to counts');
+    }
+    for (const [name, count] of Object.entries(counts)) {
+      if (!this.has(name)) {
+        throw new Error(`Unknown factory: ${name}`);
+      }
+      if (!Number.isInteger(count) || count < 0) {
+        throw new Error(`Count for factory "${name}" must be a non-negative integer`);
+      }
+    }
+
+    const built = new Map();
+    const context = {
+      fixtures: { records: name => (built.has(name) ? built.get(name) : this.records(name)) }
+    };
+
+    for (const name of this._seedOrder(Object.keys(counts))) {
+      const factory = this.get(name);
+      factory.sequences.reset();
+
+      for (const dependency of factory.dependencies) {
+        if (context.fixtures.records(dependency).length === 0 && counts[name] > 0) {
+          throw new Error(`Cannot seed "${name}": it references "${dependency}", which has no records`);
+        }
+      }
+
+      const items = withGenerationScope({ route: factory.sequences }, () => (
+        Array.from({ length: counts[name] }, () => factory.generate(context))
+      ));
+      built.set(name, items);
+    }
+
+    const result = {};
+    for (const [name, items] of built) {
+      const factory = this.get(name);
+      this.state.createStore(factory.store, { items: [] }).setState({ items });
+      result[name] = items;
+    }
+    return result;
+  }
+
+  /**
+   * Order factories so referenced ones come first
+   * @param {Array<string>} names - Factories to seed
+   * @returns {Array<string>}
+   */
+  _seedOrder(names) {
+    const order = [];
+    const visiting = [];
+
+    const visit = (name) => {
+      if (order.includes(name)) {
+        return;
+      }
+      if (visiting.includes(name)) {
+        const cycle = [...visiting.slice(visiting.indexOf(name)), name];
+        throw new Error(`Circular factory references: ${cycle.join(' -> ')}`);
+      }
+
+      visiting.push(name);
+      const factory = this.get(name);
+      if (!factory) {
+        throw new Error(`Unknown factory: ${name}`);
+      }
+      factory.dependencies.filter(dependency => names.includes(dependency)).forEach(visit);
+      visiting.pop();
+      order.push(name);
+    };
+
+    names.forEach(visit);
+    return order;
+  }
+}
+
+/**
+ * Reference a field of a random record of another factory. Works in
+ * factory definitions while seeding and in route schemas of a server with
+ * seeded fixtures.
+ * @param {string} path - Factory name, optionally followed by a field path, e.g. 'user.id'
+ * @returns {Function} Schema node resolving the reference
+ * @example
+ * defineFactory('order', { userId: ref('user.id'), shipTo: ref('user.address') });
+ */
+function ref(path) {
+  if (typeof path !== 'string' || !REF_PATTERN.test(path)) {
+    throw new Error('ref path must look like "factory" or "factory.field"');
+  }
+
+  const [factory, ...fieldPath] = path.split('.');
+  const resolve = (context = {}) => {
+    const records = context.fixtures ? context.fixtures.records(factory) : [];
+    if (records.length === 0) {
+      throw new Error(`Cannot resolve ref('${path}'): no ${factory} records`);
+    }
+
+    let value = records[Math.floor(random() * records.length)];
+    for (const key of fieldPath) {
+      value = value === null || value === undefined ? undefined : value[key];
+    }
+    return value;
+  };
+  resolve.ref = { factory, path: fieldPath };
+  return resolve;
+}
+
+/**
+ * Names of the factories a definition references
+ * @param {*} value - Schema definition
+ * @param {Set<string>} [found] - Accumulator
+ * @returns {Set<string>}
+ */
+function collectRefs(value, found = new Set()) {
+  if (typeof value === 'function' && value.ref) {
+    found.add(value.ref.factory);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectRefs(item, found));
+  } else if (value !== null && typeof value === 'object') {
+    Object.values(value).forEach(item => collectRefs(item, found));
+  }
+  return found;
+}
+
+// Default graph, shared by servers as the parent of their own
+const defaultFixtures = new FixtureGraph();
+
+module.exports = {
+  FixtureGraph,
+  defaultFixtures,
+  ref,
+  defineFactory: (name, definition, options) => defaultFixtures.define(name, definition, options),
+  seedFixtures: counts => defaultFixtures.seed(counts)
+};
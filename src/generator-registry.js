@@ -0,0 +1,220 @@
+/**
+ * Generator registry
+ * Resolves generator names used in schemas (`{{sku}}`, `$sku('A')`) to
+ * functions. The global registry holds the built-in generators plus anything
+ * added with registerGenerator(); each mock server has a child registry so
+ * generators can be scoped to a single server.
+ */
+
+const generators = require('./generators');
+const { validateValue, ValidationError } = require('./validator');
+
+/**
+ * Names that schemas read as request or `this` references, so generators
+ * with these names could never be called
+ * @type {string[]}
+ */
+const RESERVED_NAMES = ['params', 'query', 'body', 'headers', 'state', 'this'];
+
+class GeneratorRegistry {
+  /**
+   * @param {GeneratorRegistry} [parent] - Registry consulted for names not registered here
+   */
+  constructor(parent = null) {
+    this.parent = parent;
+    this.entries = new Map();
+  }
+
+  /**
+   * Register a generator
+   * @param {string} name - Name used in schemas; letters, digits and underscores
+   * @param {Function} fn - Generator function, called with the schema arguments
+   * @param {Object} [options={}] - Registration options
+   * @param {Array<Object>} [options.args] - Argument specs in call order. Each is a
+   *   validator schema ({ type, minimum, enum, ... }) plus `name`, `required` and `default`
+   * @param {boolean} [options.override=false] - Replace an existing generator without a warning
+   * @returns {GeneratorRegistry} Registry instance for chaining
+   * @example
+   * registry.register('sku', (prefix, digits) => `${prefix}-${digits}`, {
+   *   args: [
+   *     { name: 'prefix', type: 'string', required: true },
+   *     { name: 'digits', type: 'integer', minimum: 1, default: 6 }
+   *   ]
+   * });
+   */
+  register(name, fn, options = {}) {
+    if (typeof name !== 'string' || !/^\w+$/.test(name)) {
+      throw new Error('Generator name must contain only letters, digits and underscores');
+    }
+    if (RESERVED_NAMES.includes(name)) {
+      throw new Error(`Generator name "${name}" is reserved for request references`);
+    }
+    if (typeof fn !== 'function') {
+      throw new Error(`Generator "${name}" must be a function`);
+    }
+
+    const args = options.args || [];
+    if (!Array.isArray(args) || args.some(arg => !arg || typeof arg !== 'object')) {
+      throw new Error(`Argument specs for generator "${name}" must be an array of objects`);
+    }
+
+    if (this.has(name) && !options.override) {
+      console.warn(`Generator "${name}" is already registered, overriding it`);
+    }
+
+    this.entries.set(name, { name, fn, args });
+    return this;
+  }
+
+  /**
+   * Remove a generator registered on this registry
+   * @param {string} name - Generator name
+   * @returns {boolean} True if a generator was removed
+   */
+  unregister(name) {
+    return this.entries.delete(name);
+  }
+
+  /**
+   * Check whether a generator is available here or in a parent registry
+   * @param {string} name - Generator name
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.get(name) !== undefined;
+  }
+
+  /**
+   * Look up a generator entry
+   * @param {string} name - Generator name
+   * @returns {{name: string, fn: Function, args: Array<Object>}|undefined}
+   */
+  get(name) {
+    return this.entries.get(name) || (this.parent ? this.parent.get(name) : undefined);
+  }
+
+  /**
+   * List every available generator name
+   * @returns {string[]}
+   */
+  names() {
+    const inherited = this.parent ? this.parent.names() : [];
+    return [...new Set([...inherited, ...this.entries.keys()])];
+  }
+
+  /**
+   * Validate arguments and call a generator
+   * @param {string} name - Generator name
+   * @param {Array} [args=[]] - Arguments from the schema
+   * @returns {*} Generated value
+   * @throws {Error} If the generator is unknown
+   * @throws {ValidationError} If the arguments do not match the generator's specs
+   */
+  call(name, args = []) {
+    const entry = this.get(name);
+    if (!entry) {
+      throw new Error(`Unknown generator: ${name}`);
+    }
+    return entry.fn(...resolveArgs(entry, args));
+  }
+}
+
+/**
+ * Check arguments against a generator's specs and fill in defaults.
+ * A single options object is mapped onto the specs by name, so
+ * `integer({ min: 1 })` and `integer(1)` are equivalent.
+ * An invalid argument that has a default falls back to it with a warning,
+ * matching how mocks favour a plausible value over a failed response.
+ * @param {{name: string, args: Array<Object>}} entry - Registry entry
+ * @param {Array} args - Call arguments
+ * @returns {Array} Arguments to pass to the generator
+ */
+function resolveArgs(entry, args) {
+  const specs = entry.args;
+  if (specs.length === 0) {
+    return args;
+  }
+
+  const values = args.length === 1 && isPlainObject(args[0]) && specs[0].type !== 'object'
+    ? specs.map(spec => args[0][spec.name])
+    : args;
+
+  const errors = [];
+  if (values.length > specs.length) {
+    errors.push(`Expected at most ${specs.length} argument(s), got ${values.length}`);
+  }
+
+  const resolved = specs.map((spec, index) => {
+    const { name, required, default: fallback, ...schema } = spec;
+    const label = name || `argument ${index + 1}`;
+    const value = values[index];
+
+    if (value === undefined) {
+      if (required) {
+        errors.push(`${label}: Argument is required`);
+      }
+      return fallback;
+    }
+
+    const argErrors = validateValue(value, schema, label);
+    if (argErrors.length === 0) {
+      return value;
+    }
+    if (fallback !== undefined) {
+      console.warn(`Generator ${entry.name}: ${argErrors.join('; ')}, using default ${JSON.stringify(fallback)}`);
+      return fallback;
+    }
+    errors.push(...argErrors);
+    return value;
+  });
+
+  if (errors.length > 0) {
+    throw new ValidationError(`Invalid arguments for generator ${entry.name}`, errors);
+  }
+
+  // Trailing arguments left to the generator's own defaults
+  while (resolved.length > 0 && resolved[resolved.length - 1] === undefined) {
+    resolved.pop();
+  }
+  return resolved;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+const globalRegistry = new GeneratorRegistry();
+for (const [name, fn] of Object.entries(generators)) {
+  globalRegistry.register(name, fn, { args: generators.argSpecs[name] });
+}
+
+/**
+ * Register a generator globally, making it available to every schema and
+ * mock server
+ * @param {string} name - Name used in schemas
+ * @param {Function} fn - Generator function
+ * @param {Object} [options] - See GeneratorRegistry#register
+ * @returns {GeneratorRegistry} The global registry
+ * @example
+ * registerGenerator('orderState', () => 'shipped');
+ * createSchema({ state: '{{orderState}}' });
+ */
+function registerGenerator(name, fn, options) {
+  return globalRegistry.register(name, fn, options);
+}
+
+/**
+ * Remove a globally registered generator
+ * @param {string} name - Generator name
+ * @returns {boolean} True if a generator was removed
+ */
+function unregisterGenerator(name) {
+  return globalRegistry.unregister(name);
+}
+
+module.exports = {
+  GeneratorRegistry,
+  globalRegistry,
+  registerGenerator,
+  unregisterGenerator
+};
@@ -3,6 +3,130 @@
  * @description Built-in fake data generators for common types
  */
 
+const { random, now: currentTime, seed } = require('./random');
+const { getLocaleData, resolveLocale } = require('./locales');
+const { generateFromRegex, DEFAULT_MAX_REPEAT } = require('./reverse-regex');
+const {
+  SEQUENCE_SCOPES,
+  MAX_UNIQUE_ATTEMPTS,
+  GenerationError,
+  globalSequences,
+  getSequenceStore,
+  getEmitted,
+  getScopeRegistry
+} = require('./sequences');
+
+/**
+ * Pick a random element from a list
+ * @param {Array} list - Candidates
+ * @returns {*} One element of the list
+ */
+function pick(list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Fill a locale pattern: `#` becomes any digit, `N` a digit from 2 to 9
+ * @param {string} pattern - Pattern such as '+49 30 ########'
+ * @returns {string} Filled pattern
+ */
+function fillPattern(pattern) {
+  return pattern.replace(/[#N]/g, token => (
+    token === 'N' ? String(2 + Math.floor(random() * 8)) : String(Math.floor(random() * 10))
+  ));
+}
+
+/**
+ * Matches date format tokens; text in [brackets] is copied literally
+ */
+const DATE_TOKEN_PATTERN = /\[([^\]]*)]|YYYY|YY|SSS|MM|DD|HH|mm|ss|M|D|H/g;
+
+/**
+ * Format a timestamp in UTC. Tokens: YYYY, YY, MM, M, DD, D, HH, H, mm,
+ * ss and SSS; wrap literal text in [brackets].
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} pattern - Format such as 'DD.MM.YYYY' or 'YYYY-MM-DD[T]HH:mm'
+ * @returns {string} Formatted date
+ */
+function formatDate(time, pattern) {
+  const value = new Date(time);
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+  const tokens = {
+    YYYY: pad(value.getUTCFullYear(), 4),
+    YY: pad(value.getUTCFullYear() % 100),
+    MM: pad(value.getUTCMonth() + 1),
+    M: String(value.getUTCMonth() + 1),
+    DD: pad(value.getUTCDate()),
+    D: String(value.getUTCDate()),
+    HH: pad(value.getUTCHours()),
+    H: String(value.getUTCHours()),
+    mm: pad(value.getUTCMinutes()),
+    ss: pad(value.getUTCSeconds()),
+    SSS: pad(value.getUTCMilliseconds(), 3),
+  };
+  return pattern.replace(DATE_TOKEN_PATTERN, (token, literal) => (literal !== undefined ? literal : tokens[token]));
+}
+
+const DURATION_UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Matches relative offsets such as '-7d', '+2h' or '+1d12h'
+ */
+const RELATIVE_DATE_PATTERN = /^([+-])((?:\d+(?:ms|s|m|h|d|w|y))+)$/;
+
+/**
+ * Resolve a date bound to milliseconds since the epoch. Accepts Date
+ * objects, epoch milliseconds, 'now', relative offsets from now ('-7d',
+ * '+2h', '+1y') and any string Date.parse understands.
+ * @param {Date|number|string} value - Date bound
+ * @returns {number} Milliseconds since the epoch
+ */
+function toTimestamp(value) {
+  if (value instanceof Date) {
+    return value.getTime();
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return value;
+  }
+  if (value === 'now') {
+    return currentTime();
+  }
+
+  const relative = typeof value === 'string' && value.match(RELATIVE_DATE_PATTERN);
+  if (relative) {
+    let offset = 0;
+    for (const [, amount, unit] of relative[2].matchAll(/(\d+)(ms|s|m|h|d|w|y)/g)) {
+      offset += Number(amount) * DURATION_UNITS[unit];
+    }
+    return currentTime() + (relative[1] === '-' ? -offset : offset);
+  }
+
+  const parsed = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(parsed)) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return parsed;
+}
+
+/**
+ * Named date output formats
+ */
+const DATE_FORMATS = {
+  iso: time => new Date(time).toISOString(),
+  date: time => formatDate(time, 'YYYY-MM-DD'),
+  time: time => formatDate(time, 'HH:mm:ss'),
+  unix: time => Math.floor(time / 1000),
+  millis: time => Math.floor(time),
+};
+
 /**
  * Generates a random UUID v4
  * @returns {string} A randomly generated UUID
@@ -11,7 +135,7 @@
  */
 function uuid() {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (c) => {
-    const r = (Math.random() * 16) | 0;
+    const r = (random() * 16) | 0;
     const v = c === 'x' ? r : (r & 0x3) | 0x8;
     return v.toString(16);
   });
@@ -19,42 +143,42 @@ function uuid() {
 
 /**
  * Generates a random first name
+ * @param {string} [locale] - Locale code; defaults to the active locale
  * @returns {string} A randomly selected first name
  * @example
  * firstName() // => 'Alice'
+ * firstName('de') // => 'Jürgen'
  */
-function firstName() {
-  const names = [
-    'Alice', 'Bob', 'Charlie', 'Diana', 'Edward',
-    'Fiona', 'George', 'Hannah', 'Ivan', 'Julia',
-    'Kevin', 'Laura', 'Michael', 'Nancy', 'Oscar',
-  ];
-  return names[Math.floor(Math.random() * names.length)];
+function firstName(locale) {
+  return pick(getLocaleData('firstNames', locale));
 }
 
 /**
  * Generates a random last name
+ * @param {string} [locale] - Locale code; defaults to the active locale
  * @returns {string} A randomly selected last name
  * @example
  * lastName() // => 'Smith'
+ * lastName('ar') // => 'العتيبي'
  */
-function lastName() {
-  const names = [
-    'Smith', 'Johnson', 'Williams', 'Brown', 'Jones',
-    'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez',
-    'Wilson', 'Anderson', 'Taylor', 'Thomas', 'Moore',
-  ];
-  return names[Math.floor(Math.random() * names.length)];
+function lastName(locale) {
+  return pick(getLocaleData('lastNames', locale));
 }
 
 /**
- * Generates a full name combining first and last name
+ * Generates a full name in the locale's name order
+ * @param {string} [locale] - Locale code; defaults to the active locale
  * @returns {string} A full name
  * @example
  * fullName() // => 'Alice Smith'
+ * fullName('ja') // => '佐藤 花子'
  */
-function fullName() {
-  return `${firstName()} ${lastName()}`;
+function fullName(locale) {
+  const first = firstName(locale);
+  const last = lastName(locale);
+  return getLocaleData('nameFormat', locale)
+    .replace('{first}', first)
+    .replace('{last}', last);
 }
 
 /**
@@ -65,23 +189,68 @@ function fullName() {
  */
 function email() {
   const domains = ['example.com', 'test.org', 'mock.io', 'fake.net', 'demo.dev'];
-  const domain = domains[Math.floor(Math.random() * domains.length)];
-  const name = `${firstName().toLowerCase()}.${lastName().toLowerCase()}`;
-  const num = Math.floor(Math.random() * 100);
+  const domain = domains[Math.floor(random() * domains.length)];
+  // Local parts stay ASCII whatever the active locale
+  const name = `${firstName('en-US').toLowerCase()}.${lastName('en-US').toLowerCase()}`;
+  const num = Math.floor(random() * 100);
   return `${name}${num}@${domain}`;
 }
 
 /**
- * Generates a random date within the past year
- * @returns {string} An ISO 8601 formatted date string
+ * Check whether a lone date() argument is a locale code, as in date('de')
+ * @param {*} value - Argument
+ * @returns {boolean}
+ */
+function isLocaleCode(value) {
+  if (typeof value !== 'string' || !/^[a-z]{2,3}(?:[-_][a-z]{2,4})?$/i.test(value)) {
+    return false;
+  }
+  try {
+    resolveLocale(value);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Generates a random date, by default within the past year
+ * @param {Date|number|string} [from='-1y'] - Earliest date: Date, epoch
+ *   milliseconds, 'now', a relative offset ('-7d', '+2h') or a date string
+ * @param {Date|number|string} [to='now'] - Latest date, same forms as `from`
+ * @param {string} [format] - 'iso', 'date', 'time', 'unix' (epoch seconds),
+ *   'millis' (epoch milliseconds), 'locale' or a token pattern such as
+ *   'DD.MM.YYYY HH:mm'; defaults to 'locale' when a locale is given, else 'iso'
+ * @param {string} [locale] - Locale code for the 'locale' format
+ * @returns {string|number} The formatted date
  * @example
  * date() // => '2024-03-15T10:30:00.000Z'
+ * date({ from: 'now', to: '+30d', format: 'date' }) // => '2024-04-02'
+ * date({ format: 'unix' }) // => 1710498600
+ * date({ locale: 'de' }) // => '15.03.2024'
+ * date('de') // => '15.03.2024', same as date({ locale: 'de' })
  */
-function date() {
-  const now = Date.now();
-  const pastYear = now - 365 * 24 * 60 * 60 * 1000;
-  const randomTime = pastYear + Math.random() * (now - pastYear);
-  return new Date(randomTime).toISOString();
+function date(from = '-1y', to = 'now', format, locale) {
+  if (arguments.length === 1 && isLocaleCode(from)) {
+    return date(undefined, undefined, undefined, from);
+  }
+
+  const start = toTimestamp(from);
+  const end = toTimestamp(to);
+  if (start > end) {
+    throw new Error('date: from must not be after to');
+  }
+
+  const time = start + random() * (end - start);
+  const output = format || (locale ? 'locale' : 'iso');
+
+  if (output === 'locale') {
+    return formatDate(time, getLocaleData('dateFormat', locale));
+  }
+  if (DATE_FORMATS[output]) {
+    return DATE_FORMATS[output](time);
+  }
+  return formatDate(time, output);
 }
 
 /**
@@ -93,7 +262,7 @@ function date() {
  * integer(1, 100) // => 42
  */
 function integer(min = 0, max = 1000) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
+  return Math.floor(random() * (max - min + 1)) + min;
 }
 
 /**
@@ -106,7 +275,7 @@ function integer(min = 0, max = 1000) {
  * float(0, 100, 2) // => 42.17
  */
 function float(min = 0, max = 1000, decimals = 2) {
-  const num = Math.random() * (max - min) + min;
+  const num = random() * (max - min) + min;
   return parseFloat(num.toFixed(decimals));
 }
 
@@ -117,20 +286,31 @@ function float(min = 0, max = 1000, decimals = 2) {
  * boolean() // => true
  */
 function boolean() {
-  return Math.random() > 0.5;
+  return random() > 0.5;
 }
 
 /**
- * Generates a random phone number
+ * Generates a random phone number in international format
+ * @param {string} [locale] - Locale code; defaults to the active locale
  * @returns {string} A formatted phone number
  * @example
  * phone() // => '+1-555-123-4567'
+ * phone('pt-BR') // => '+55 11 91234-5678'
+ */
+function phone(locale) {
+  return fillPattern(pick(getLocaleData('phoneFormats', locale)));
+}
+
+/**
+ * Generates a random postal code
+ * @param {string} [locale] - Locale code; defaults to the active locale
+ * @returns {string} A postal code
+ * @example
+ * postcode() // => '94107'
+ * postcode('ja') // => '150-0002'
  */
-function phone() {
-  const areaCode = integer(200, 999);
-  const prefix = integer(100, 999);
-  const line = integer(1000, 9999);
-  return `+1-${areaCode}-${prefix}-${line}`;
+function postcode(locale) {
+  return fillPattern(pick(getLocaleData('postcodeFormats', locale)));
 }
 
 /**
@@ -142,8 +322,8 @@ function phone() {
 function url() {
   const domains = ['example.com', 'test.org', 'mock.io', 'demo.dev'];
   const paths = ['api', 'users', 'posts', 'items', 'data', 'resource'];
-  const domain = domains[Math.floor(Math.random() * domains.length)];
-  const path = paths[Math.floor(Math.random() * paths.length)];
+  const domain = domains[Math.floor(random() * domains.length)];
+  const path = paths[Math.floor(random() * paths.length)];
   return `https://${domain}/${path}/${uuid().slice(0, 8)}`;
 }
 
@@ -163,13 +343,487 @@ function lorem(words = 10) {
 
   const result = [];
   for (let i = 0; i < words; i++) {
-    result.push(loremWords[Math.floor(Math.random() * loremWords.length)]);
+    result.push(loremWords[Math.floor(random() * loremWords.length)]);
   }
 
   const text = result.join(' ');
   return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
+/**
+ * Picks one of the given options
+ * @param {Array} options - Candidate values
+ * @returns {*} One of the options
+ * @example
+ * oneOf(['draft', 'published']) // => 'published'
+ */
+function oneOf(options) {
+  if (!Array.isArray(options) || options.length === 0) {
+    throw new Error('oneOf requires a non-empty array of options');
+  }
+  return pick(options);
+}
+
+/**
+ * Generates a street address in the locale's format
+ * @param {string} [locale] - Locale code; defaults to the active locale
+ * @returns {string} A street address
+ * @example
+ * streetAddress() // => '742 Maple Dr'
+ * streetAddress('de') // => 'Goethestraße 14'
+ */
+function streetAddress(locale) {
+  const format = fillPattern(pick(getLocaleData('streetFormats', locale)));
+  return format.replace('{street}', pick(getLocaleData('streets', locale)));
+}
+
+/**
+ * Generates a city name
+ * @param {string} [locale] - Locale code; defaults to the active locale
+ * @returns {string} A city name
+ * @example
+ * city('pt-BR') // => 'Curitiba'
+ */
+function city(locale) {
+  return pick(getLocaleData('cities', locale));
+}
+
+const COUNTRIES = [
+  ['US', 'United States'], ['DE', 'Germany'], ['JP', 'Japan'], ['BR', 'Brazil'],
+  ['SA', 'Saudi Arabia'], ['GB', 'United Kingdom'], ['FR', 'France'], ['ES', 'Spain'],
+  ['IT', 'Italy'], ['NL', 'Netherlands'], ['CA', 'Canada'], ['AU', 'Australia'],
+  ['IN', 'India'], ['MX', 'Mexico'], ['SE', 'Sweden'], ['KR', 'South Korea'],
+];
+
+/**
+ * Generates a country name
+ * @returns {string} A country name in English
+ * @example
+ * country() // => 'Japan'
+ */
+function country() {
+  return pick(COUNTRIES)[1];
+}
+
+/**
+ * Generates an ISO 3166-1 alpha-2 country code
+ * @returns {string} A two-letter country code
+ * @example
+ * countryCode() // => 'DE'
+ */
+function countryCode() {
+  return pick(COUNTRIES)[0];
+}
+
+/**
+ * Generates a latitude
+ * @param {number} [min=-90] - Minimum latitude
+ * @param {number} [max=90] - Maximum latitude
+ * @param {number} [decimals=6] - Number of decimal places
+ * @returns {number} A latitude in degrees
+ * @example
+ * latitude() // => 48.137154
+ */
+function latitude(min = -90, max = 90, decimals = 6) {
+  return float(Math.max(min, -90), Math.min(max, 90), decimals);
+}
+
+/**
+ * Generates a longitude
+ * @param {number} [min=-180] - Minimum longitude
+ * @param {number} [max=180] - Maximum longitude
+ * @param {number} [decimals=6] - Number of decimal places
+ * @returns {number} A longitude in degrees
+ * @example
+ * longitude() // => 11.576124
+ */
+function longitude(min = -180, max = 180, decimals = 6) {
+  return float(Math.max(min, -180), Math.min(max, 180), decimals);
+}
+
+/**
+ * Generates a coordinate pair
+ * @returns {{lat: number, lng: number}} Latitude and longitude
+ * @example
+ * latLng() // => { lat: 48.137154, lng: 11.576124 }
+ */
+function latLng() {
+  return { lat: latitude(), lng: longitude() };
+}
+
+/**
+ * Generates a full postal address in the locale's conventions
+ * @param {string} [locale] - Locale code; defaults to the active locale
+ * @returns {{street: string, city: string, postcode: string, country: string}} Address parts
+ * @example
+ * address('de') // => { street: 'Hauptstraße 5', city: 'Köln', postcode: '50667', country: 'DE' }
+ */
+function address(locale) {
+  return {
+    street: streetAddress(locale),
+    city: city(locale),
+    postcode: postcode(locale),
+    country: getLocaleData('country', locale),
+  };
+}
+
+/**
+ * Generates a company name in the locale's style
+ * @param {string} [locale] - Locale code; defaults to the active locale
+ * @returns {string} A company name
+ * @example
+ * companyName() // => 'Taylor Group'
+ * companyName('de') // => 'Becker GmbH'
+ */
+function companyName(locale) {
+  return pick(getLocaleData('companyFormats', locale))
+    .replace(/\{last\}/g, () => lastName(locale));
+}
+
+/**
+ * Generates a job title
+ * @returns {string} A job title
+ * @example
+ * jobTitle() // => 'Senior Data Engineer'
+ */
+function jobTitle() {
+  const levels = ['Junior', 'Senior', 'Lead', 'Principal', 'Staff'];
+  const areas = ['Software', 'Product', 'Marketing', 'Sales', 'Data', 'Security', 'Operations'];
+  const roles = ['Engineer', 'Manager', 'Analyst', 'Designer', 'Consultant', 'Architect'];
+  return `${pick(levels)} ${pick(areas)} ${pick(roles)}`;
+}
+
+/**
+ * Card number prefixes and lengths by brand
+ */
+const CARD_BRANDS = {
+  visa: { prefixes: ['4'], length: 16 },
+  mastercard: { prefixes: ['51', '52', '53', '54', '55'], length: 16 },
+  amex: { prefixes: ['34', '37'], length: 15 },
+  discover: { prefixes: ['6011', '65'], length: 16 },
+};
+
+/**
+ * Compute the Luhn check digit for a digit string
+ * @param {string} digits - Number without its check digit
+ * @returns {number} Check digit
+ */
+function luhnCheckDigit(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Generates a Luhn-valid credit card number
+ * @param {string} [brand='visa'] - One of visa, mastercard, amex, discover
+ * @returns {string} A card number without separators
+ * @example
+ * creditCard() // => '4539578763621486'
+ * creditCard('amex') // => '371449635398431'
+ */
+function creditCard(brand = 'visa') {
+  const spec = CARD_BRANDS[brand];
+  if (!spec) {
+    throw new Error(`Unknown card brand: ${brand}`);
+  }
+  const prefix = pick(spec.prefixes);
+  const body = prefix + fillPattern('#'.repeat(spec.length - prefix.length - 1));
+  return body + luhnCheckDigit(body);
+}
+
+/**
+ * BBAN layouts by country: `#` is a digit, `A` an uppercase letter
+ */
+const IBAN_FORMATS = {
+  DE: '##################',
+  FR: '#######################',
+  ES: '####################',
+  NL: 'AAAA##########',
+  GB: 'AAAA##############',
+  BR: '#######################AA',
+  SA: '######################',
+};
+
+/**
+ * Compute a number string modulo 97 without losing precision
+ * @param {string} digits - Decimal digits
+ * @returns {number} Remainder
+ */
+function mod97(digits) {
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder;
+}
+
+/**
+ * Generates an IBAN with valid ISO 13616 check digits
+ * @param {string} [countryCode='DE'] - One of DE, FR, ES, NL, GB, BR, SA
+ * @returns {string} An IBAN without spaces
+ * @example
+ * iban() // => 'DE89370400440532013000'
+ */
+function iban(countryCode = 'DE') {
+  const format = IBAN_FORMATS[countryCode];
+  if (!format) {
+    throw new Error(`Unsupported IBAN country: ${countryCode}`);
+  }
+  const bban = format.replace(/[#A]/g, token => (
+    token === 'A' ? String.fromCharCode(65 + Math.floor(random() * 26)) : String(Math.floor(random() * 10))
+  ));
+  const numeric = `${bban}${countryCode}00`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  const check = String(98 - mod97(numeric)).padStart(2, '0');
+  return `${countryCode}${check}${bban}`;
+}
+
+/**
+ * Minor unit digits for common currencies (ISO 4217)
+ */
+const CURRENCIES = { USD: 2, EUR: 2, GBP: 2, JPY: 0, BRL: 2, SAR: 2, CHF: 2, KWD: 3 };
+
+/**
+ * Generates an ISO 4217 currency code
+ * @returns {string} A currency code
+ * @example
+ * currencyCode() // => 'EUR'
+ */
+function currencyCode() {
+  return pick(Object.keys(CURRENCIES));
+}
+
+/**
+ * Generates a monetary amount rounded to the currency's minor unit
+ * @param {number} [min=0] - Minimum amount
+ * @param {number} [max=1000] - Maximum amount
+ * @param {string} [currency='USD'] - ISO 4217 code deciding the decimals
+ * @returns {number} An amount
+ * @example
+ * amount(5, 50) // => 27.35
+ * amount(100, 5000, 'JPY') // => 3120
+ */
+function amount(min = 0, max = 1000, currency = 'USD') {
+  const decimals = CURRENCIES[currency] ?? 2;
+  return float(min, max, decimals);
+}
+
+/**
+ * Generates an IPv4 address
+ * @returns {string} A dotted-quad address
+ * @example
+ * ipv4() // => '192.168.14.7'
+ */
+function ipv4() {
+  return [integer(1, 223), integer(0, 255), integer(0, 255), integer(1, 254)].join('.');
+}
+
+/**
+ * Generates an IPv6 address in full (uncompressed) form
+ * @returns {string} Eight colon-separated hex groups
+ * @example
+ * ipv6() // => '2001:0db8:85a3:0000:0000:8a2e:0370:7334'
+ */
+function ipv6() {
+  return Array.from({ length: 8 }, () => integer(0, 0xffff).toString(16).padStart(4, '0')).join(':');
+}
+
+/**
+ * Generates a unicast MAC address
+ * @param {string} [separator=':'] - Separator between octets
+ * @returns {string} A MAC address
+ * @example
+ * mac() // => '3c:22:fb:91:0e:5d'
+ */
+function mac(separator = ':') {
+  const octets = Array.from({ length: 6 }, () => integer(0, 255));
+  octets[0] &= 0xfe;
+  return octets.map(octet => octet.toString(16).padStart(2, '0')).join(separator);
+}
+
+/**
+ * Generates a browser user agent string
+ * @returns {string} A user agent
+ * @example
+ * userAgent() // => 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) ... Chrome/120.0.0.0 Safari/537.36'
+ */
+function userAgent() {
+  const templates = [
+    v => `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${v}.0.0.0 Safari/537.36`,
+    v => `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${v}.0.0.0 Safari/537.36`,
+    v => `Mozilla/5.0 (X11; Linux x86_64; rv:${v}.0) Gecko/20100101 Firefox/${v}.0`,
+    v => `Mozilla/5.0 (Windows NT 10.0; Win64; x64; rv:${v}.0) Gecko/20100101 Firefox/${v}.0`,
+    v => `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${v % 10 + 10}.1 Safari/605.1.15`,
+    v => `Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/${v % 10 + 10}.0 Mobile/15E148 Safari/604.1`,
+  ];
+  return pick(templates)(integer(100, 130));
+}
+
+/**
+ * Generates a hex color
+ * @returns {string} A color such as '#1a2b3c'
+ * @example
+ * hexColor() // => '#4fa3c2'
+ */
+function hexColor() {
+  return `#${integer(0, 0xffffff).toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Generates a URL slug
+ * @param {number} [words=3] - Number of words
+ * @returns {string} Lowercase words joined by hyphens
+ * @example
+ * slug() // => 'dolor-sit-amet'
+ */
+function slug(words = 3) {
+  return lorem(words).toLowerCase().replace(/ /g, '-');
+}
+
+/**
+ * Generates a username from ASCII name parts
+ * @returns {string} A username such as 'alice_smith42'
+ * @example
+ * username() // => 'kevin.moore17'
+ */
+function username() {
+  const separator = pick(['', '.', '_']);
+  const name = `${firstName('en-US')}${separator}${lastName('en-US')}`.toLowerCase();
+  return `${name}${integer(1, 99)}`;
+}
+
+const PASSWORD_CHARSETS = {
+  lower: 'abcdefghijklmnopqrstuvwxyz',
+  upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  digits: '0123456789',
+  symbols: '!@#$%^&*()-_=+[]{}?',
+};
+
+/**
+ * Generates a password containing lowercase, uppercase and digit
+ * characters, plus symbols unless disabled
+ * @param {number} [length=16] - Password length, at least 4
+ * @param {boolean} [symbols=true] - Include symbols
+ * @returns {string} A password
+ * @example
+ * password() // => 'q7R$vLm2!xTa9@bK'
+ */
+function password(length = 16, symbols = true) {
+  if (length < 4) {
+    throw new Error('Password length must be at least 4');
+  }
+  const sets = [PASSWORD_CHARSETS.lower, PASSWORD_CHARSETS.upper, PASSWORD_CHARSETS.digits];
+  if (symbols) {
+    sets.push(PASSWORD_CHARSETS.symbols);
+  }
+
+  const all = sets.join('');
+  const chars = sets.map(set => pick(set));
+  while (chars.length < length) {
+    chars.push(pick(all));
+  }
+
+  // Fisher-Yates shuffle so the required characters are not always first
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
+
+/**
+ * Generates a string matching a regular expression
+ * @param {string|RegExp} pattern - Pattern source or RegExp
+ * @param {number} [maxRepeat=10] - Extra repetitions allowed for `*`, `+` and `{n,}`
+ * @returns {string} A matching string
+ * @example
+ * regex('^[A-Z]{3}-\\d{4}$') // => 'QXB-4821'
+ */
+function regex(pattern, maxRepeat = DEFAULT_MAX_REPEAT) {
+  return generateFromRegex(pattern, { maxRepeat });
+}
+
+/**
+ * Generates the next value of a named counter. Route counters are shared by
+ * all requests to one route, server counters by all routes of a server;
+ * both restart on `server.reset()`. Outside a server every scope uses the
+ * global counters.
+ * @param {string} [name='default'] - Counter name
+ * @param {string} [scope='route'] - 'route', 'server' or 'global'
+ * @param {number} [start=1] - First value
+ * @param {number} [step=1] - Increment
+ * @returns {number} The next value
+ * @example
+ * sequence('user') // => 1, then 2, 3, ...
+ */
+function sequence(name = 'default', scope = 'route', start = 1, step = 1) {
+  return getSequenceStore(scope).next(name, start, step);
+}
+
+/**
+ * Calls a generator until it returns a value not yet produced by the same
+ * call in the current response
+ * @param {string|Function} generator - Generator name or function
+ * @param {...*} args - Arguments for the generator
+ * @returns {*} A value not produced before in this response
+ * @throws {GenerationError} If no new value turns up within 100 attempts
+ * @example
+ * unique('integer', 1, 10) // => 7, never repeated within one response
+ */
+function unique(generator, ...args) {
+  const call = resolveUniqueTarget(generator);
+  const seen = getEmitted(typeof generator === 'string' ? `${generator}:${JSON.stringify(args)}` : generator);
+
+  for (let attempt = 0; attempt < MAX_UNIQUE_ATTEMPTS; attempt++) {
+    const value = call(args);
+    const key = typeof value === 'object' && value !== null ? JSON.stringify(value) : `${typeof value}:${value}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      return value;
+    }
+  }
+
+  const label = typeof generator === 'string' ? generator : generator.name || 'generator';
+  throw new GenerationError(
+    `unique(${label}) found no new value after ${MAX_UNIQUE_ATTEMPTS} attempts (${seen.size} distinct values used)`
+  );
+}
+
+/**
+ * Turn the target of `unique` into a function of the argument list
+ * @param {string|Function} generator - Generator name or function
+ * @returns {Function}
+ */
+function resolveUniqueTarget(generator) {
+  if (typeof generator === 'function') {
+    return args => generator(...args);
+  }
+  if (typeof generator !== 'string' || generator === 'unique') {
+    throw new Error('unique requires a generator name or function');
+  }
+
+  const registry = getScopeRegistry();
+  if (registry) {
+    if (!registry.has(generator)) {
+      throw new Error(`Unknown generator: ${generator}`);
+    }
+    return args => registry.call(generator, args);
+  }
+  if (!Object.prototype.hasOwnProperty.call(generators, generator)) {
+    throw new Error(`Unknown generator: ${generator}`);
+  }
+  return args => generators[generator](...args);
+}
+
 /**
  * Collection of all available generators
  * @type {Object.<string, Function>}
@@ -179,14 +833,165 @@ const generators = {
   firstName,
   lastName,
   fullName,
+  name: fullName,
   email,
+  username,
+  password,
   date,
   integer,
   float,
   boolean,
+  oneOf,
   phone,
+  postcode,
+  streetAddress,
+  city,
+  country,
+  countryCode,
+  latitude,
+  longitude,
+  latLng,
+  address,
+  companyName,
+  jobTitle,
+  creditCard,
+  iban,
+  amount,
+  currencyCode,
   url,
+  ipv4,
+  ipv6,
+  mac,
+  userAgent,
+  hexColor,
+  slug,
+  regex,
+  sequence,
+  unique,
   lorem,
 };
 
-module.exports = { generators };
+const LOCALE_ARG = { name: 'locale', type: 'string' };
+
+/**
+ * Argument specs for generators that take arguments, in call order. Each is
+ * a validator schema plus `name`, `required` and `default`; the names also
+ * let every generator take its arguments as one options object.
+ * @type {Object.<string, Array<Object>>}
+ */
+const argSpecs = {
+  firstName: [LOCALE_ARG],
+  lastName: [LOCALE_ARG],
+  fullName: [LOCALE_ARG],
+  name: [LOCALE_ARG],
+  password: [
+    { name: 'length', type: 'integer', minimum: 4, default: 16 },
+    { name: 'symbols', type: 'boolean', default: true }
+  ],
+  date: [
+    { name: 'from', type: ['string', 'number'] },
+    { name: 'to', type: ['string', 'number'] },
+    { name: 'format', type: 'string' },
+    LOCALE_ARG
+  ],
+  integer: [
+    { name: 'min', type: 'number', default: 0 },
+    { name: 'max', type: 'number', default: 1000 }
+  ],
+  float: [
+    { name: 'min', type: 'number', default: 0 },
+    { name: 'max', type: 'number', default: 1000 },
+    { name: 'decimals', type: 'integer', minimum: 0, maximum: 100, default: 2 }
+  ],
+  oneOf: [{ name: 'options', type: 'array', minItems: 1, required: true }],
+  phone: [LOCALE_ARG],
+  postcode: [LOCALE_ARG],
+  streetAddress: [LOCALE_ARG],
+  city: [LOCALE_ARG],
+  latitude: [
+    { name: 'min', type: 'number', minimum: -90, maximum: 90, default: -90 },
+    { name: 'max', type: 'number', minimum: -90, maximum: 90, default: 90 },
+    { name: 'decimals', type: 'integer', minimum: 0, maximum: 15, default: 6 }
+  ],
+  longitude: [
+    { name: 'min', type: 'number', minimum: -180, maximum: 180, default: -180 },
+    { name: 'max', type: 'number', minimum: -180, maximum: 180, default: 180 },
+    { name: 'decimals', type: 'integer', minimum: 0, maximum: 15, default: 6 }
+  ],
+  address: [LOCALE_ARG],
+  companyName: [LOCALE_ARG],
+  creditCard: [{ name: 'brand', type: 'string', enum: Object.keys(CARD_BRANDS), default: 'visa' }],
+  iban: [{ name: 'country', type: 'string', enum: Object.keys(IBAN_FORMATS), default: 'DE' }],
+  amount: [
+    { name: 'min', type: 'number', default: 0 },
+    { name: 'max', type: 'number', default: 1000 },
+    { name: 'currency', type: 'string', default: 'USD' }
+  ],
+  mac: [{ name: 'separator', type: 'string', maxLength: 1, default: ':' }],
+  slug: [{ name: 'words', type: 'integer', minimum: 1, default: 3 }],
+  regex: [
+    { name: 'pattern', type: 'string', required: true },
+    { name: 'maxRepeat', type: 'integer', minimum: 0, default: DEFAULT_MAX_REPEAT }
+  ],
+  sequence: [
+    { name: 'name', type: 'string', default: 'default' },
+    { name: 'scope', type: 'string', enum: SEQUENCE_SCOPES, default: 'route' },
+    { name: 'start', type: 'number', default: 1 },
+    { name: 'step', type: 'number', default: 1 }
+  ],
+  lorem: [{ name: 'words', type: 'integer', minimum: 0, default: 10 }],
+};
+
+/**
+ * Check for a single options-object argument, e.g. integer({ min: 1, max: 5 })
+ * @param {Array} args - Call arguments
+ * @param {Array<Object>} [specs] - Argument specs
+ * @returns {boolean}
+ */
+function isOptionsCall(args, specs) {
+  return Boolean(specs) && args.length === 1 &&
+    args[0] !== null && Object.getPrototypeOf(args[0]) === Object.prototype &&
+    specs[0].type !== 'object';
+}
+
+/**
+ * Convert an options object into positional arguments
+ * @param {Object} options - Named arguments
+ * @param {Array<Object>} specs - Argument specs
+ * @returns {Array} Positional arguments
+ */
+function optionsToArgs(options, specs) {
+  return specs.map(spec => options[spec.name]);
+}
+
+// Let generators be called with positional arguments or one options object
+for (const [name, specs] of Object.entries(argSpecs)) {
+  const generate = generators[name];
+  generators[name] = (...args) => (
+    isOptionsCall(args, specs) ? generate(...optionsToArgs(args[0], specs)) : generate(...args)
+  );
+}
+
+/**
+ * Restart global sequence counters and forget values tracked by `unique`
+ * outside a response
+ * @param {string} [name] - Counter name; omit to reset everything
+ * @example
+ * generators.sequence.reset();
+ */
+generators.sequence.reset = name => globalSequences.reset(name);
+
+/**
+ * Seed the generators so they return the same values on every run
+ * @param {number|string} [value] - Seed; omit to go back to Math.random()
+ * @example
+ * generators.seed(42);
+ */
+Object.defineProperty(generators, 'seed', { value: seed, enumerable: false });
+
+/**
+ * Argument specs by generator name, used by the generator registry
+ */
+Object.defineProperty(generators, 'argSpecs', { value: argSpecs, enumerable: false });
+
+module.exports = generators;
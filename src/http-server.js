@@ -0,0 +1,204 @@
+/**
+ * HTTP listener for mock servers
+ * Exposes a mock server over a real Node http.Server
+ */
+
+const http = require('http');
+const { MockApiError } = require('./errors');
+const { serializeBody, hasHeader } = require('./response-handler');
+
+class MockHttpServer {
+  /**
+   * @param {Object} mock - Mock server instance created by createMockServer
+   */
+  constructor(mock) {
+    this.mock = mock;
+    this.server = null;
+    this.sockets = new Set();
+  }
+
+  /**
+   * Start listening for HTTP requests
+   * @param {number} [port=0] - Port to bind, 0 picks an ephemeral port
+   * @param {string} [host='127.0.0.1'] - Host to bind
+   * @returns {Promise<{port: number, host: string, url: string}>} - Bound address
+   */
+  listen(port = 0, host = '127.0.0.1') {
+    if (this.server) {
+      return Promise.reject(new Error('Server is already listening'));
+    }
+
+    this.server = http.createServer(createRequestListener(this.mock));
+    this.server.on('connection', (socket) => {
+      this.sockets.add(socket);
+      socket.on('close', () => this.sockets.delete(socket));
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', (error) => {
+        this.server = null;
+        reject(error);
+      });
+      this.server.listen(port, host, () => resolve(this.address()));
+    });
+  }
+
+  /**
+   * Stop listening and drop open connections
+   * @returns {Promise<void>}
+   */
+  close() {
+    if (!this.server) {
+      return Promise.resolve();
+    }
+
+    const server = this.server;
+    this.server = null;
+
+    return new Promise((resolve, reject) => {
+      server.close(error => (error ? reject(error) : resolve()));
+      for (const socket of this.sockets) {
+        socket.destroy();
+      }
+      this.sockets.clear();
+    });
+  }
+
+  /**
+   * Get the bound address
+   * @returns {{port: number, host: string, url: string}|null}
+   */
+  address() {
+    const info = this.server?.address();
+    if (!info || typeof info === 'string') {
+      return null;
+    }
+
+    const host = info.family === 'IPv6' || info.family === 6 ? `[${info.address}]` : info.address;
+    return {
+      port: info.port,
+      host: info.address,
+      url: `http://${host}:${info.port}`
+    };
+  }
+
+  /**
+   * Get whether the server is listening
+   */
+  get listening() {
+    return this.server !== null && this.server.listening;
+  }
+}
+
+/**
+ * Create an http request listener that answers through a mock server
+ * @param {Object} mock - Mock server instance created by createMockServer
+ * @returns {Function} - Listener for http.Server's 'request' event
+ */
+function createRequestListener(mock) {
+  return async (req, res) => {
+    try {
+      const body = await readBody(req);
+      const response = await mock.handle(req.method, req.url, {
+        headers: req.headers,
+        body
+      });
+      writeResponse(res, response);
+    } catch (error) {
+      writeError(res, error);
+    }
+  };
+}
+
+/**
+ * Answer with an error, e.g. when the pipeline throws or a response has an
+ * invalid status or header. Falls back to a plain 500, and drops the
+ * connection if headers were already sent.
+ * @param {http.ServerResponse} res - Server response
+ * @param {Error} error - Error to report
+ */
+function writeError(res, error) {
+  if (res.headersSent) {
+    res.destroy(error);
+    return;
+  }
+
+  const mockError = error instanceof MockApiError && Number.isInteger(error.status) &&
+    error.status >= 100 && error.status <= 999
+    ? error
+    : new MockApiError(500, error.message);
+
+  try {
+    for (const name of res.getHeaderNames()) {
+      res.removeHeader(name);
+    }
+    writeResponse(res, { status: mockError.status, headers: {}, body: mockError.toJSON() });
+  } catch {
+    res.destroy(error);
+  }
+}
+
+/**
+ * Read and parse a request body based on its content type
+ * @param {http.IncomingMessage} req - Incoming request
+ * @returns {Promise<*>} - Parsed JSON, text, or undefined for empty bodies
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('error', reject);
+    req.on('end', () => {
+      if (chunks.length === 0) {
+        resolve(undefined);
+        return;
+      }
+
+      const text = Buffer.concat(chunks).toString('utf8');
+      const contentType = req.headers['content-type'] || '';
+
+      if (contentType.includes('json')) {
+        try {
+          resolve(JSON.parse(text));
+        } catch {
+          reject(new MockApiError(400, 'Request body is not valid JSON'));
+        }
+        return;
+      }
+
+      resolve(text);
+    });
+  });
+}
+
+/**
+ * Write a mock response to a server response
+ * @param {http.ServerResponse} res - Server response
+ * @param {Object} response - Mock response ({ status, headers, body })
+ */
+function writeResponse(res, response) {
+  const headers = { ...response.headers };
+  const { payload, contentType } = serializeBody(response.body);
+
+  if (contentType && !hasHeader(headers, 'content-type')) {
+    headers['Content-Type'] = contentType;
+  }
+
+  if (!hasHeader(headers, 'content-length')) {
+    headers['Content-Length'] = Buffer.byteLength(payload);
+  }
+  res.writeHead(response.status || 200, headers);
+  res.end(payload);
+}
+
+function createHttpServer(mock) {
+  return new MockHttpServer(mock);
+}
+
+module.exports = {
+  MockHttpServer,
+  createHttpServer,
+  createRequestListener,
+  readBody,
+  writeResponse
+};
@@ -5,24 +5,270 @@
  * @license MIT
  */
 
-const { generators } = require('./generators');
-const { parseSchema, generateFromSchema } = require('./schema');
-const { Router } = require('./router');
-const { ResponseHandler } = require('./response-handler');
-const { delay, createDelayConfig } = require('./delay');
-const { MockError, createErrorResponse, simulateError } = require('./errors');
-const { createInterceptor } = require('./interceptor');
-const { ScenarioManager } = require('./scenario');
-const { SchemaValidator, createValidator } = require('./validator');
-const { Logger, createLogger } = require('./logger');
-const { StateManager, createState } = require('./state');
+const generators = require('./generators');
+const { RandomSource, createRandom, withRandom } = require('./random');
+const { SequenceStore, GenerationError, withGenerationScope } = require('./sequences');
+const { LOCALES, registerLocale, setLocale, getLocale, resolveLocale, withLocale } = require('./locales');
+const { GeneratorRegistry, globalRegistry, registerGenerator, unregisterGenerator } = require('./generator-registry');
+const { Schema, createSchema } = require('./schema');
+const { generateFromJsonSchema } = require('./json-schema');
+const { Router, parseRequestPath } = require('./router');
+const { ResponseHandler, serializeBody, hasHeader } = require('./response-handler');
+const { DelayController, delayController, setDelay, setDelayRange, applyDelay, resetDelay } = require('./delay');
+const { HTTP_ERRORS, MockApiError, createErrorSimulator, shouldError, randomErrorStatus } = require('./errors');
+const { InterceptorChain, createInterceptorChain, builtInInterceptors, FetchInterceptor, HttpInterceptor, createInterceptor } = require('./interceptor');
+const { ScenarioManager, ScenarioPresets, createScenarioManager } = require('./scenario');
+const { validate, createValidator, ValidationError } = require('./validator');
+const { Logger, LOG_LEVELS, createLogger } = require('./logger');
+const { StateManager, StateStore } = require('./state');
+const { FixtureGraph, defaultFixtures, defineFactory, seedFixtures, ref } = require('./fixtures');
+const { MockHttpServer, createHttpServer } = require('./http-server');
+
+/**
+ * Normalizes the config passed to route()
+ * @param {Object|Function} config - Route config or body function
+ * @returns {Object} Route config consumed by ResponseHandler
+ */
+function normalizeRouteConfig(config) {
+  if (typeof config === 'function') {
+    return { body: config };
+  }
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('Route config must be an object or a body function');
+  }
+
+  return config;
+}
+
+/**
+ * Builds the route config for get/post/... The definition is always the
+ * response, never a route config, so schemas may have fields named
+ * `status`, `body` or `headers`; route options go in the third argument.
+ * @param {*} definition - Response schema or body function
+ * @param {Object} [options={}] - Route options (status, headers, delay, match, ...)
+ * @returns {Object} Route config
+ */
+function helperRouteConfig(definition, options = {}) {
+  return typeof definition === 'function'
+    ? { ...options, body: definition }
+    : { ...options, schema: definition };
+}
+
+/**
+ * Builds a response object from a MockApiError
+ * @param {MockApiError} error - Error to convert
+ * @returns {Object} Mock response
+ */
+function errorResponse(error) {
+  return {
+    status: error.status,
+    headers: {},
+    body: error.toJSON()
+  };
+}
+
+/**
+ * Builds the response for a request no route matched: 405 with an Allow
+ * header when the path exists under other methods, an automatic answer for
+ * OPTIONS, and 404 otherwise
+ * @param {Router} router - Router to inspect
+ * @param {Object} request - Parsed request
+ * @returns {Object} Mock response
+ */
+function unmatchedResponse(router, request) {
+  const allowed = router.allowedMethods(request.path);
+  const notFound = errorResponse(new MockApiError(404, `No mock registered for ${request.method} ${request.path}`));
+
+  if (allowed.length === 0) {
+    return notFound;
+  }
+
+  const headers = { Allow: allowed.join(', ') };
+  if (request.method === 'OPTIONS') {
+    return { status: 204, headers, body: null };
+  }
+  if (allowed.includes(request.method)) {
+    return notFound;
+  }
+
+  return { ...errorResponse(new MockApiError(405)), headers };
+}
+
+/**
+ * Strips the body from a response for HEAD requests, keeping the length
+ * the body would have had
+ * @param {Object} response - Mock response
+ * @returns {Object} Response without a body
+ */
+function withoutBody(response) {
+  const headers = { ...response.headers };
+  if (!hasHeader(headers, 'content-length')) {
+    headers['Content-Length'] = String(Buffer.byteLength(serializeBody(response.body).payload));
+  }
+  return { ...response, headers, body: null };
+}
+
+/**
+ * Route registration helpers shared by servers and route groups.
+ * Each relies on the host object's route(method, path, definition).
+ */
+const routeHelpers = {
+  /**
+   * Registers a GET endpoint
+   * @param {string} path - URL path pattern
+   * @param {*} schema - Response schema or body function
+   * @param {Object} [options] - Route options such as status, headers and delay
+   * @returns {Object} Server or group instance for chaining
+   */
+  get(path, schema, options) {
+    return this.route('GET', path, helperRouteConfig(schema, options));
+  },
+
+  /**
+   * Registers a POST endpoint
+   * @param {string} path - URL path pattern
+   * @param {*} schema - Response schema or body function
+   * @param {Object} [options] - Route options such as status, headers and delay
+   * @returns {Object} Server or group instance for chaining
+   */
+  post(path, schema, options) {
+    return this.route('POST', path, helperRouteConfig(schema, options));
+  },
+
+  /**
+   * Registers a PUT endpoint
+   * @param {string} path - URL path pattern
+   * @param {*} schema - Response schema or body function
+   * @param {Object} [options] - Route options such as status, headers and delay
+   * @returns {Object} Server or group instance for chaining
+   */
+  put(path, schema, options) {
+    return this.route('PUT', path, helperRouteConfig(schema, options));
+  },
+
+  /**
+   * Registers a DELETE endpoint
+   * @param {string} path - URL path pattern
+   * @param {*} schema - Response schema or body function
+   * @param {Object} [options] - Route options such as status, headers and delay
+   * @returns {Object} Server or group instance for chaining
+   */
+  delete(path, schema, options) {
+    return this.route('DELETE', path, helperRouteConfig(schema, options));
+  },
+
+  /**
+   * Registers a PATCH endpoint
+   * @param {string} path - URL path pattern
+   * @param {*} schema - Response schema or body function
+   * @param {Object} [options] - Route options such as status, headers and delay
+   * @returns {Object} Server or group instance for chaining
+   */
+  patch(path, schema, options) {
+    return this.route('PATCH', path, helperRouteConfig(schema, options));
+  },
+
+  /**
+   * Registers routes under a shared path prefix and route defaults.
+   * Group headers are merged into each route's headers, group interceptors
+   * run before the route's own, and other defaults apply unless the route
+   * overrides them. Groups can be nested.
+   * @param {string} prefix - Path prefix for every route in the group
+   * @param {Object} [defaults={}] - Route config defaults (headers, delay, interceptors, ...)
+   * @param {Function} callback - Receives the group, which has the same route helpers
+   * @returns {Object} Server or group instance for chaining
+   * @example
+   * server.group('/api/v2', { headers: { 'X-Api': 'v2' }, delay: 50 }, (g) => {
+   *   g.get('/users', [], { status: 200 });
+   * });
+   */
+  group(prefix, defaults, callback) {
+    if (typeof defaults === 'function') {
+      callback = defaults;
+      defaults = {};
+    }
+    if (typeof callback !== 'function') {
+      throw new Error('Route group callback must be a function');
+    }
+
+    callback(createRouteGroup(this, prefix, defaults || {}));
+    return this;
+  },
+};
+
+/**
+ * Merges route group defaults into a route config
+ * @param {Object} defaults - Group defaults
+ * @param {Object} routeConfig - Route config
+ * @returns {Object} Merged route config
+ */
+function mergeRouteConfig(defaults, routeConfig) {
+  const merged = { ...defaults, ...routeConfig };
+
+  if (defaults.headers || routeConfig.headers) {
+    merged.headers = { ...defaults.headers, ...routeConfig.headers };
+  }
+  if (defaults.interceptors || routeConfig.interceptors) {
+    merged.interceptors = [...(defaults.interceptors || []), ...(routeConfig.interceptors || [])];
+  }
+
+  return merged;
+}
+
+/**
+ * Joins a group prefix and a route path
+ * @param {string} prefix - Group prefix
+ * @param {string} path - Route path
+ * @returns {string} Joined path
+ */
+function joinPaths(prefix, path) {
+  if (typeof path !== 'string') {
+    throw new Error('Route groups only support string paths');
+  }
+
+  const joined = `${prefix.replace(/\/+$/, '')}${path === '/' ? '' : path}`;
+  return joined || '/';
+}
+
+/**
+ * Creates a route group that registers through its parent
+ * @param {Object} parent - Server or enclosing group
+ * @param {string} prefix - Path prefix
+ * @param {Object} defaults - Route config defaults
+ * @returns {Object} Route group
+ */
+function createRouteGroup(parent, prefix, defaults) {
+  return {
+    prefix,
+    defaults,
+
+    /**
+     * Registers an endpoint in the group
+     * @param {string} method - HTTP method
+     * @param {string} path - URL path pattern, relative to the group prefix
+     * @param {Object|Function} config - Route config or body function
+     * @returns {Object} Group instance for chaining
+     */
+    route(method, path, config) {
+      parent.route(method, joinPaths(prefix, path), mergeRouteConfig(defaults, normalizeRouteConfig(config)));
+      return this;
+    },
+
+    ...routeHelpers,
+  };
+}
 
 /**
  * Creates a new mock server instance with the provided configuration
  * @param {Object} [config={}] - Server configuration options
  * @param {number} [config.defaultDelay=0] - Default response delay in milliseconds
  * @param {number} [config.errorRate=0] - Error simulation rate (0-1)
+ * @param {number|number[]} [config.errorStatus=500] - Status code(s) used for simulated errors
  * @param {boolean} [config.logging=false] - Enable request/response logging
+ * @param {Object} [config.loggerOptions] - Options passed to createLogger
+ * @param {number|string} [config.seed] - Seed for generated data; omit to use the global generators seed
+ * @param {string} [config.locale] - Locale for names, phones, postcodes and dates, e.g. 'de-DE'; defaults to the global locale
  * @returns {Object} Mock server instance
  * @example
  * const server = createMockServer({
@@ -33,103 +279,303 @@ const { StateManager, createState } = require('./state');
  */
 function createMockServer(config = {}) {
   const router = new Router();
-  const handler = new ResponseHandler(config);
+  const generatorRegistry = new GeneratorRegistry(globalRegistry);
+  const handler = new ResponseHandler({
+    delay: config.defaultDelay,
+    generators: generatorRegistry,
+    locale: config.locale === undefined ? null : resolveLocale(config.locale)
+  });
   const scenarioManager = new ScenarioManager();
+  const interceptors = new InterceptorChain();
   const logger = config.logging ? createLogger(config.loggerOptions) : null;
-  const stateManager = createState();
+  const stateManager = new StateManager();
+  const fixtures = new FixtureGraph({ generators: generatorRegistry, state: stateManager, parent: defaultFixtures });
+  const random = config.seed === undefined ? null : createRandom(config.seed);
+  const routeRandoms = new WeakMap();
+  const serverSequences = new SequenceStore();
+  let routeSequences = new WeakMap();
+  let httpServer = null;
 
   return {
     router,
     handler,
     scenarios: scenarioManager,
+    interceptors,
     logger,
     state: stateManager,
+    generators: generatorRegistry,
+    fixtures,
 
     /**
-     * Registers a GET endpoint
+     * Registers an endpoint for any HTTP method
+     * @param {string} method - HTTP method
      * @param {string} path - URL path pattern
-     * @param {Object|Function} schema - Response schema or handler function
+     * @param {Object|Function} config - Route config ({ schema, body, jsonSchema, status, headers, ... }) or body function
      * @returns {Object} Mock server instance for chaining
+     * @example
+     * server.route('POST', '/users', { status: 201, body: ctx => ctx.body });
      */
-    get(path, schema) {
-      router.addRoute('GET', path, schema);
+    route(method, path, config) {
+      const routeConfig = normalizeRouteConfig(config);
+      if (routeConfig.seed !== undefined) {
+        routeRandoms.set(routeConfig, createRandom(routeConfig.seed));
+      }
+      router.register(method, path, routeConfig);
       return this;
     },
 
+    ...routeHelpers,
+
     /**
-     * Registers a POST endpoint
-     * @param {string} path - URL path pattern
-     * @param {Object|Function} schema - Response schema or handler function
+     * Registers a generator available only to this server's schemas
+     * @param {string} name - Name used in schemas
+     * @param {Function} fn - Generator function
+     * @param {Object} [options] - Argument specs and override flag, see GeneratorRegistry#register
      * @returns {Object} Mock server instance for chaining
+     * @example
+     * server.registerGenerator('tenantId', () => 'acme');
+     * server.get('/me', { tenant: '{{tenantId}}' });
      */
-    post(path, schema) {
-      router.addRoute('POST', path, schema);
+    registerGenerator(name, fn, options) {
+      generatorRegistry.register(name, fn, options);
       return this;
     },
 
     /**
-     * Registers a PUT endpoint
-     * @param {string} path - URL path pattern
-     * @param {Object|Function} schema - Response schema or handler function
+     * Defines a fixture factory for this server, see FixtureGraph#define
+     * @param {string} name - Factory name, used by ref('name.field')
+     * @param {Object} definition - Schema for one record
+     * @param {Object} [options] - Factory options such as the state store name
      * @returns {Object} Mock server instance for chaining
+     * @example
+     * server
+     *   .defineFactory('user', { id: '$sequence', name: '{{fullName}}' })
+     *   .defineFactory('order', { id: '$sequence', userId: ref('user.id') });
      */
-    put(path, schema) {
-      router.addRoute('PUT', path, schema);
+    defineFactory(name, definition, options) {
+      fixtures.define(name, definition, options);
       return this;
     },
 
     /**
-     * Registers a DELETE endpoint
-     * @param {string} path - URL path pattern
-     * @param {Object|Function} schema - Response schema or handler function
+     * Generates related fixture collections into this server's state stores,
+     * using the server's seed and locale
+     * @param {Object.<string, number>} counts - Records to generate per factory
      * @returns {Object} Mock server instance for chaining
+     * @example
+     * server.seed({ user: 10, order: 50 });
+     * server.get('/orders', '$state.order.items');
      */
-    delete(path, schema) {
-      router.addRoute('DELETE', path, schema);
+    seed(counts) {
+      withRandom(random, () => withLocale(handler.locale, () => (
+        withGenerationScope({ server: serverSequences }, () => fixtures.seed(counts))
+      )));
       return this;
     },
 
     /**
-     * Registers a PATCH endpoint
-     * @param {string} path - URL path pattern
-     * @param {Object|Function} schema - Response schema or handler function
+     * Adds a request interceptor to the pipeline
+     * @param {Function} interceptor - Function(req, context) => context
      * @returns {Object} Mock server instance for chaining
      */
-    patch(path, schema) {
-      router.addRoute('PATCH', path, schema);
+    use(interceptor) {
+      interceptors.use(interceptor);
       return this;
     },
 
     /**
-     * Handles an incoming request and returns a mock response
+     * Handles an incoming request and returns a mock response.
+     * Runs interceptors, scenario evaluation, error simulation, delay,
+     * body generation and logging in that order.
      * @param {string} method - HTTP method
-     * @param {string} path - Request path
+     * @param {string} path - Request path, optionally with a query string
      * @param {Object} [options={}] - Additional request options
+     * @param {Object} [options.query] - Query parameters (merged over the path's query string)
+     * @param {Object} [options.headers] - Request headers
+     * @param {*} [options.body] - Request body
      * @returns {Promise<Object>} Mock response
      */
     async handle(method, path, options = {}) {
+      const startTime = Date.now();
+      const { pathname, query } = parseRequestPath(path);
+      const request = {
+        method: method.toUpperCase(),
+        path: pathname,
+        url: path,
+        params: {},
+        query: { ...query, ...options.query },
+        headers: options.headers || {},
+        body: options.body
+      };
+
       if (logger) {
-        logger.logRequest(method, path, options);
+        logger.logRequest(request);
       }
 
-      const response = await handler.handle(router, method, path, options);
+      const response = await this._dispatch(request);
 
       if (logger) {
-        logger.logResponse(method, path, response);
+        logger.logResponse(response, Date.now() - startTime);
       }
 
       return response;
     },
 
     /**
-     * Resets the mock server state
+     * Runs a parsed request through the response pipeline
+     * @private
+     */
+    async _dispatch(request) {
+      const parts = { query: request.query, headers: request.headers, body: request.body };
+      let route = router.match(request.method, request.path, parts);
+      if (!route && request.method === 'HEAD') {
+        route = router.match('GET', request.path, parts);
+      }
+      const response = route ? await this._respond(route, request) : unmatchedResponse(router, request);
+      return request.method === 'HEAD' ? withoutBody(response) : response;
+    },
+
+    /**
+     * Runs a matched request through interceptors, scenarios, error
+     * simulation and the response handler
+     * @private
+     */
+    async _respond(route, request) {
+      request.params = route.params;
+
+      let context = await interceptors.execute(request, {});
+      if (!context.interceptorError && route.config.interceptors?.length) {
+        const routeInterceptors = new InterceptorChain();
+        route.config.interceptors.forEach(interceptor => routeInterceptors.use(interceptor));
+        context = await routeInterceptors.execute(request, context);
+      }
+      if (context.interceptorError) {
+        const error = context.interceptorError;
+        // Interceptors such as auth checks can choose the status by throwing a MockApiError
+        return errorResponse(error instanceof MockApiError ? error : new MockApiError(500, error.message));
+      }
+      if (context.rateLimited) {
+        return errorResponse(new MockApiError(429));
+      }
+
+      let routeConfig = route.config;
+      const scenario = scenarioManager.evaluate(route.path, { ...request, context });
+      if (scenario) {
+        routeConfig = {
+          ...routeConfig,
+          status: scenario.statusCode || routeConfig.status,
+          headers: { ...routeConfig.headers, ...scenario.headers }
+        };
+        if (scenario.response !== null) {
+          delete routeConfig.schema;
+          delete routeConfig.jsonSchema;
+          routeConfig.body = scenario.response;
+        }
+      }
+
+      const routeRandom = routeRandoms.get(route.config) || random;
+      const simulateError = createErrorSimulator({
+        rate: routeConfig.errorRate ?? config.errorRate ?? 0,
+        status: config.errorStatus
+      });
+      try {
+        withRandom(routeRandom, simulateError);
+      } catch (error) {
+        return errorResponse(error);
+      }
+
+      if (!routeSequences.has(route.config)) {
+        routeSequences.set(route.config, new SequenceStore());
+      }
+      const sequences = { route: routeSequences.get(route.config), server: serverSequences };
+      return handler.handle({ ...route, config: routeConfig, random: routeRandom, sequences }, {
+        query: request.query,
+        headers: request.headers,
+        body: request.body,
+        state: stateManager,
+        fixtures,
+        ...context
+      });
+    },
+
+    /**
+     * Starts a real HTTP server that answers requests through handle()
+     * @param {number} [port=0] - Port to bind, 0 picks an ephemeral port
+     * @param {string} [host='127.0.0.1'] - Host to bind
+     * @returns {Promise<{port: number, host: string, url: string}>} Bound address
+     * @example
+     * const { url } = await server.listen(0);
+     * await fetch(`${url}/users`);
+     */
+    listen(port = 0, host = '127.0.0.1') {
+      if (!httpServer) {
+        httpServer = createHttpServer(this);
+      }
+      return httpServer.listen(port, host);
+    },
+
+    /**
+     * Stops the HTTP server started by listen()
+     * @returns {Promise<void>}
+     */
+    close() {
+      return httpServer ? httpServer.close() : Promise.resolve();
+    },
+
+    /**
+     * Patches globalThis.fetch so matching requests are answered by this server
+     * @param {Object} [options={}] - Interception options
+     * @param {string} [options.baseUrl] - Only URLs under this prefix are mocked
+     * @param {boolean} [options.passthrough=true] - Send unmatched requests to the original fetch
+     * @returns {FetchInterceptor} Installed interceptor, call restore() to undo
+     * @example
+     * const interceptor = server.interceptFetch({ baseUrl: 'https://api.example.com' });
+     * await fetch('https://api.example.com/users');
+     * interceptor.restore();
+     */
+    interceptFetch(options = {}) {
+      return createInterceptor(this, { ...options, mode: 'fetch' });
+    },
+
+    /**
+     * Hooks Node's http and https modules so matching outgoing requests are
+     * answered by this server with a real IncomingMessage
+     * @param {Object} [options={}] - Interception options
+     * @param {string} [options.baseUrl] - Only URLs under this prefix are mocked
+     * @param {boolean} [options.passthrough=true] - Let unmatched requests reach the network
+     * @returns {HttpInterceptor} Installed interceptor, call restore() to undo
+     * @example
+     * const interceptor = server.interceptHttp({ passthrough: false });
+     * await axios.get('https://api.example.com/users');
+     * interceptor.restore();
+     */
+    interceptHttp(options = {}) {
+      return createInterceptor(this, { ...options, mode: 'http' });
+    },
+
+    /**
+     * Gets the address of the HTTP server started by listen()
+     * @returns {{port: number, host: string, url: string}|null} Bound address
+     */
+    address() {
+      return httpServer ? httpServer.address() : null;
+    },
+
+    /**
+     * Resets the mock server state, including route and server sequences
      * @returns {Object} Mock server instance for chaining
      */
     reset() {
-      router.reset();
-      stateManager.clear();
+      router.clear();
+      scenarioManager.reset();
+      if (random) {
+        random.reseed(config.seed);
+      }
+      serverSequences.reset();
+      routeSequences = new WeakMap();
+      stateManager.clearAll();
       if (logger) {
-        logger.clear();
+        logger.clearHistory();
       }
       return this;
     },
@@ -143,38 +589,83 @@ module.exports = {
   // Data generators
   generators,
 
+  // Generator registration
+  GeneratorRegistry,
+  registerGenerator,
+  unregisterGenerator,
+
+  // Locales
+  LOCALES,
+  registerLocale,
+  setLocale,
+  getLocale,
+
+  // Seedable randomness
+  RandomSource,
+  createRandom,
+
+  // Sequences
+  SequenceStore,
+  GenerationError,
+
   // Schema utilities
-  parseSchema,
-  generateFromSchema,
+  Schema,
+  createSchema,
+  generateFromJsonSchema,
 
   // Core components
   Router,
   ResponseHandler,
 
   // Delay utilities
-  delay,
-  createDelayConfig,
+  DelayController,
+  delayController,
+  setDelay,
+  setDelayRange,
+  applyDelay,
+  resetDelay,
 
   // Error handling
-  MockError,
-  createErrorResponse,
-  simulateError,
+  HTTP_ERRORS,
+  MockApiError,
+  createErrorSimulator,
+  shouldError,
+  randomErrorStatus,
+
+  // HTTP listener
+  MockHttpServer,
+  createHttpServer,
 
   // Request interception
+  InterceptorChain,
+  createInterceptorChain,
+  builtInInterceptors,
+  FetchInterceptor,
+  HttpInterceptor,
   createInterceptor,
 
   // Scenario management
   ScenarioManager,
+  ScenarioPresets,
+  createScenarioManager,
 
   // Validation
-  SchemaValidator,
+  validate,
   createValidator,
+  ValidationError,
 
   // Logging
   Logger,
+  LOG_LEVELS,
   createLogger,
 
   // State management
   StateManager,
-  createState,
+  StateStore,
+
+  // Fixtures
+  FixtureGraph,
+  defineFactory,
+  seedFixtures,
+  ref,
 };
@@ -3,6 +3,14 @@
  * Allows custom processing of requests before response generation
  */
 
+const http = require('http');
+const https = require('https');
+const { Duplex } = require('stream');
+const { urlToHttpOptions } = require('url');
+const { serializeBody, hasHeader } = require('./response-handler');
+const { createRequestListener } = require('./http-server');
+const { parseRequestPath } = require('./router');
+
 class InterceptorChain {
   constructor() {
     this.interceptors = [];
@@ -148,8 +156,360 @@ function createInterceptorChain() {
   return new InterceptorChain();
 }
 
+/**
+ * Convert an absolute URL to the path the router sees
+ * @param {string} url - Absolute request URL
+ * @param {string|null} baseUrl - Prefix that scopes interception, without trailing slash
+ * @returns {string|null} - Path with query string, or null if the URL is out of scope
+ */
+function toMockPath(url, baseUrl) {
+  if (baseUrl) {
+    if (url !== baseUrl && !url.startsWith(`${baseUrl}/`) && !url.startsWith(`${baseUrl}?`)) {
+      return null;
+    }
+    const rest = url.slice(baseUrl.length);
+    return rest.startsWith('/') ? rest : `/${rest}`;
+  }
+
+  const { pathname, search } = new URL(url);
+  return `${pathname}${search}`;
+}
+
+/**
+ * Whether a request should be answered by the mock server rather than the
+ * network: a route matches, or the path is known under another method and
+ * the mock server will answer 405/OPTIONS itself
+ * @param {Router} router - Mock server router
+ * @param {string} method - HTTP method
+ * @param {string} path - Path with optional query string
+ * @param {object} parts - Known request parts ({ headers, body })
+ * @returns {boolean}
+ */
+function isMocked(router, method, path, parts) {
+  const { pathname, query } = parseRequestPath(path);
+  return Boolean(router.match(method, pathname, { query, ...parts })) ||
+    router.allowedMethods(pathname).length > 0;
+}
+
+/**
+ * Patches globalThis.fetch so requests are answered by a mock server
+ */
+class FetchInterceptor {
+  /**
+   * @param {Object} mock - Mock server instance created by createMockServer
+   * @param {Object} [options={}] - Interception options
+   * @param {string} [options.baseUrl] - Only URLs under this prefix are mocked
+   * @param {boolean} [options.passthrough=true] - Send unmatched requests to the original fetch
+   */
+  constructor(mock, options = {}) {
+    this.mock = mock;
+    this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/+$/, '') : null;
+    this.passthrough = options.passthrough !== false;
+    this.originalFetch = null;
+    this.patchedFetch = null;
+  }
+
+  /**
+   * Replace globalThis.fetch with the mock-backed implementation
+   */
+  install() {
+    if (this.installed) {
+      return this;
+    }
+    if (typeof globalThis.fetch !== 'function') {
+      throw new Error('globalThis.fetch is not available in this environment');
+    }
+
+    this.originalFetch = globalThis.fetch;
+    this.patchedFetch = (input, init) => this._fetch(input, init);
+    globalThis.fetch = this.patchedFetch;
+    return this;
+  }
+
+  /**
+   * Put the original fetch back
+   */
+  restore() {
+    if (!this.installed) {
+      return this;
+    }
+
+    globalThis.fetch = this.originalFetch;
+    this.originalFetch = null;
+    this.patchedFetch = null;
+    return this;
+  }
+
+  /**
+   * Whether fetch is currently patched by this interceptor
+   */
+  get installed() {
+    return this.patchedFetch !== null;
+  }
+
+  async _fetch(input, init) {
+    const request = new Request(input, init);
+    const path = toMockPath(request.url, this.baseUrl);
+    const headers = Object.fromEntries(request.headers);
+    const body = path === null ? undefined : await this._readBody(request.clone());
+
+    if (path === null || !this._matches(request.method, path, headers, body)) {
+      if (this.passthrough) {
+        return this.originalFetch.call(globalThis, request);
+      }
+      throw new TypeError(`No mock registered for ${request.method} ${request.url}`);
+    }
+
+    const response = await this.mock.handle(request.method, path, { headers, body });
+
+    return this._toResponse(response);
+  }
+
+  _matches(method, path, headers, body) {
+    return isMocked(this.mock.router, method, path, { headers, body });
+  }
+
+  async _readBody(request) {
+    if (request.method === 'GET' || request.method === 'HEAD') {
+      return undefined;
+    }
+
+    const text = await request.text();
+    if (text === '') {
+      return undefined;
+    }
+
+    if ((request.headers.get('content-type') || '').includes('json')) {
+      try {
+        return JSON.parse(text);
+      } catch {
+        return text;
+      }
+    }
+
+    return text;
+  }
+
+  _toResponse(response) {
+    const status = response.status || 200;
+    const headers = { ...response.headers };
+    const { payload, contentType } = serializeBody(response.body);
+
+    if (contentType && !hasHeader(headers, 'content-type')) {
+      headers['Content-Type'] = contentType;
+    }
+
+    const nullBody = status === 204 || status === 205 || status === 304 || payload === '';
+    return new Response(nullBody ? null : payload, { status, headers });
+  }
+}
+
+/**
+ * Hooks http.request/https.request (and their get variants) so outgoing
+ * ClientRequests are answered by a mock server
+ */
+class HttpInterceptor {
+  /**
+   * @param {Object} mock - Mock server instance created by createMockServer
+   * @param {Object} [options={}] - Interception options
+   * @param {string} [options.baseUrl] - Only URLs under this prefix are mocked
+   * @param {boolean} [options.passthrough=true] - Send unmatched requests to the network,
+   *   otherwise they fail with an ENETUNREACH error
+   */
+  constructor(mock, options = {}) {
+    this.mock = mock;
+    this.baseUrl = options.baseUrl ? options.baseUrl.replace(/\/+$/, '') : null;
+    this.passthrough = options.passthrough !== false;
+    this.originals = null;
+    this.server = http.createServer(createRequestListener(mock));
+  }
+
+  /**
+   * Patch the http and https modules
+   */
+  install() {
+    if (this.installed) {
+      return this;
+    }
+
+    this.originals = new Map();
+    for (const [module, protocol] of [[http, 'http:'], [https, 'https:']]) {
+      const original = { request: module.request, get: module.get };
+      this.originals.set(module, original);
+
+      module.request = (...args) => this._request(protocol, original.request, args);
+      module.get = (...args) => {
+        const req = module.request(...args);
+        req.end();
+        return req;
+      };
+    }
+    return this;
+  }
+
+  /**
+   * Put the original http and https functions back
+   */
+  restore() {
+    if (!this.installed) {
+      return this;
+    }
+
+    for (const [module, original] of this.originals) {
+      module.request = original.request;
+      module.get = original.get;
+    }
+    this.originals = null;
+    return this;
+  }
+
+  /**
+   * Whether http and https are currently patched by this interceptor
+   */
+  get installed() {
+    return this.originals !== null;
+  }
+
+  /**
+   * Pre-match a request before its body is written; body matchers are
+   * checked later by the mock server itself
+   */
+  _matches(method, path, headers = {}) {
+    return isMocked(this.mock.router, method, path, { headers });
+  }
+
+  _request(protocol, originalRequest, args) {
+    const { options, callback } = normalizeRequestArgs(protocol, args);
+    const method = (options.method || 'GET').toUpperCase();
+    const url = requestUrl(protocol, options);
+    const path = toMockPath(url, this.baseUrl);
+    const matched = path !== null && this._matches(method, path, options.headers);
+
+    if (!matched && this.passthrough) {
+      return originalRequest(...args);
+    }
+
+    const [clientSocket, serverSocket] = createSocketPair();
+    const clientOptions = {
+      ...options,
+      method,
+      protocol: 'http:',
+      createConnection: () => clientSocket
+    };
+    delete clientOptions.agent;
+    const req = new http.ClientRequest(clientOptions, callback);
+
+    if (matched) {
+      this.server.emit('connection', serverSocket);
+    } else {
+      const error = new Error(`No mock registered for ${method} ${url} and network access is disabled`);
+      error.code = 'ENETUNREACH';
+      process.nextTick(() => clientSocket.destroy(error));
+    }
+
+    return req;
+  }
+}
+
+/**
+ * Normalize the (url?, options?, callback?) signature of http.request
+ * @returns {{options: Object, callback: (Function|undefined)}}
+ */
+function normalizeRequestArgs(protocol, args) {
+  let options = {};
+  let callback;
+
+  for (const arg of args) {
+    if (typeof arg === 'function') {
+      callback = arg;
+    } else if (typeof arg === 'string') {
+      options = { ...options, ...urlToHttpOptions(new URL(arg)) };
+    } else if (arg instanceof URL) {
+      options = { ...options, ...urlToHttpOptions(arg) };
+    } else if (arg && typeof arg === 'object') {
+      options = { ...options, ...arg };
+    }
+  }
+
+  return { options: { protocol, ...options }, callback };
+}
+
+/**
+ * Build the absolute URL of a request from http.request options
+ */
+function requestUrl(protocol, options) {
+  const scheme = options.protocol || protocol;
+  const hostname = options.hostname || (options.host || 'localhost').replace(/:\d+$/, '');
+  const defaultPort = scheme === 'https:' ? 443 : 80;
+  const port = options.port && Number(options.port) !== defaultPort ? `:${options.port}` : '';
+  return `${scheme}//${hostname}${port}${options.path || '/'}`;
+}
+
+/**
+ * Create two connected in-memory duplex streams that stand in for sockets
+ * @returns {[Duplex, Duplex]} - Client and server ends
+ */
+function createSocketPair() {
+  const sockets = [];
+  const createEnd = (peerIndex) => {
+    const socket = new Duplex({
+      read() {},
+      write(chunk, encoding, cb) {
+        sockets[peerIndex].push(chunk);
+        cb();
+      },
+      final(cb) {
+        sockets[peerIndex].push(null);
+        cb();
+      },
+      destroy(error, cb) {
+        const peer = sockets[peerIndex];
+        if (!peer.destroyed) {
+          peer.destroy();
+        }
+        cb(error);
+      }
+    });
+
+    socket.remoteAddress = '127.0.0.1';
+    socket.remotePort = 0;
+    socket.setTimeout = () => socket;
+    socket.setNoDelay = () => socket;
+    socket.setKeepAlive = () => socket;
+    socket.ref = () => socket;
+    socket.unref = () => socket;
+    return socket;
+  };
+
+  sockets.push(createEnd(1), createEnd(0));
+  return sockets;
+}
+
+/**
+ * Create and install a request interceptor for a mock server
+ * @param {Object} mock - Mock server instance created by createMockServer
+ * @param {Object} [options={}] - Interceptor options
+ * @param {string} [options.mode='fetch'] - 'fetch' patches globalThis.fetch,
+ *   'http' patches Node's http and https modules
+ * @returns {FetchInterceptor|HttpInterceptor} - Installed interceptor, call restore() to undo
+ */
+function createInterceptor(mock, options = {}) {
+  const { mode = 'fetch', ...interceptorOptions } = options;
+
+  if (mode === 'http') {
+    return new HttpInterceptor(mock, interceptorOptions).install();
+  }
+  if (mode !== 'fetch') {
+    throw new Error(`Unknown interceptor mode: ${mode}`);
+  }
+  return new FetchInterceptor(mock, interceptorOptions).install();
+}
+
 module.exports = {
   InterceptorChain,
   createInterceptorChain,
-  builtInInterceptors
+  builtInInterceptors,
+  FetchInterceptor,
+  HttpInterceptor,
+  createInterceptor
 };
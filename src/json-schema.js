@@ -0,0 +1,282 @@
+/**
+ * @module json-schema
+ * @description Generates mock data from the JSON Schema subset understood by
+ * the validator, so one schema per resource can drive both request
+ * validation and response mocking. Every generated value is checked with
+ * the validator and regenerated until it passes.
+ */
+
+const { random } = require('./random');
+const { globalRegistry } = require('./generator-registry');
+const { DEFAULT_MAX_REPEAT } = require('./reverse-regex');
+const { ValidationError, validateValue } = require('./validator');
+
+/**
+ * Generator name and arguments for each string format the validator checks
+ * @type {Object.<string, Array>}
+ */
+const FORMAT_GENERATORS = {
+  email: ['email', []],
+  uuid: ['uuid', []],
+  'date-time': ['date', [{ format: 'iso' }]],
+  date: ['date', [{ format: 'date' }]],
+  uri: ['url', []],
+  ipv4: ['ipv4', []]
+};
+
+/**
+ * Attempts made for one value before giving up on a schema
+ * @type {number}
+ */
+const MAX_ATTEMPTS = 50;
+
+/**
+ * Items and extra string length added above the minimum when a schema
+ * sets no maximum
+ */
+const DEFAULT_SPREAD = { items: 3, length: 12, number: 1000 };
+
+/**
+ * Random integer between min and max, inclusive
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number}
+ */
+function between(min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * Pick the type to generate, inferring it from keywords when absent
+ * @param {Object} schema - JSON Schema
+ * @returns {string} Type name
+ */
+function resolveType(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type[Math.floor(random() * schema.type.length)];
+  }
+  if (schema.type) {
+    return schema.type;
+  }
+  if (schema.properties || schema.required || schema.additionalProperties !== undefined) {
+    return 'object';
+  }
+  if (schema.items || schema.minItems !== undefined || schema.maxItems !== undefined) {
+    return 'array';
+  }
+  if (schema.minimum !== undefined || schema.maximum !== undefined || schema.multipleOf !== undefined) {
+    return 'number';
+  }
+  return 'string';
+}
+
+/**
+ * Generate data that passes validate() for a JSON Schema
+ * @param {Object} schema - JSON Schema using the keywords the validator supports
+ * @param {Object} [options={}] - Generation options
+ * @param {GeneratorRegistry} [options.generators] - Registry for format and pattern generators; defaults to the global one
+ * @returns {*} Generated data
+ * @throws {ValidationError} If no valid value could be generated, e.g. for contradictory keywords
+ * @example
+ * generateFromJsonSchema({
+ *   type: 'object',
+ *   required: ['id', 'email'],
+ *   properties: { id: { type: 'string', format: 'uuid' }, email: { type: 'string', format: 'email' } }
+ * });
+ * // => { id: '3b241101-e2bb-4255-8caf-4136c566a962', email: 'alice.smith@example.com' }
+ */
+function generateFromJsonSchema(schema, options = {}) {
+  if (schema === null || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error('JSON Schema must be an object');
+  }
+  return generateValue(schema, options.generators || globalRegistry, '');
+}
+
+function generateValue(schema, registry, path) {
+  let errors = [];
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const value = generateCandidate(schema, registry, path);
+    errors = validateValue(value, schema, path);
+    if (errors.length === 0) {
+      return value;
+    }
+  }
+
+  throw new ValidationError(`Cannot generate data for JSON Schema${path ? ` at ${path}` : ''}`, errors);
+}
+
+function generateCandidate(schema, registry, path) {
+  if (schema.const !== undefined) {
+    return schema.const;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return schema.enum[Math.floor(random() * schema.enum.length)];
+  }
+
+  switch (resolveType(schema)) {
+    case 'object':
+      return generateObject(schema, registry, path);
+    case 'array':
+      return generateArray(schema, registry, path);
+    case 'integer':
+      return generateInteger(schema);
+    case 'number':
+      return generateNumber(schema);
+    case 'boolean':
+      return random() < 0.5;
+    case 'null':
+      return null;
+    default:
+      return generateString(schema, registry);
+  }
+}
+
+function generateString(schema, registry) {
+  if (schema.pattern) {
+    return generatePatternString(schema, registry);
+  }
+
+  const format = FORMAT_GENERATORS[schema.format];
+  if (format) {
+    return registry.call(format[0], format[1]);
+  }
+
+  const min = schema.minLength || 0;
+  const max = schema.maxLength ?? min + DEFAULT_SPREAD.length;
+  const length = between(min, Math.max(min, max));
+
+  let text = '';
+  while (text.length < length) {
+    text += `${registry.call('lorem', [3])} `;
+  }
+  return text.slice(0, length).replace(/ $/, 'a');
+}
+
+/**
+ * Generate a pattern match within the schema's length limits. Open-ended
+ * quantifiers may repeat up to maxLength times, or far enough past
+ * minLength to reach it, and matches of the wrong length are redrawn.
+ * @param {Object} schema - String schema with a pattern
+ * @param {GeneratorRegistry} registry - Registry providing `regex`
+ * @returns {string}
+ */
+function generatePatternString(schema, registry) {
+  const min = schema.minLength || 0;
+  const max = schema.maxLength ?? Infinity;
+  const maxRepeat = schema.maxLength !== undefined
+    ? Math.max(0, schema.maxLength)
+    : Math.max(DEFAULT_MAX_REPEAT, min + DEFAULT_SPREAD.length);
+
+  let text;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    text = registry.call('regex', [schema.pattern, maxRepeat]);
+    if (text.length >= min && text.length <= max) {
+      break;
+    }
+  }
+  return text;
+}
+
+/**
+ * Inclusive bounds for a numeric schema
+ * @param {Object} schema - JSON Schema
+ * @returns {{min: number, max: number}}
+ */
+function numberBounds(schema) {
+  const min = schema.minimum ?? (schema.maximum !== undefined ? schema.maximum - DEFAULT_SPREAD.number : 0);
+  const max = schema.maximum ?? min + DEFAULT_SPREAD.number;
+  return { min, max };
+}
+
+/**
+ * Random multiple of a step between min and max, rounded to the step's
+ * decimal places so 0.01 steps give 12.34 rather than 12.340000000000002
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @param {number} step - The multipleOf value
+ * @returns {number}
+ */
+function multipleBetween(min, max, step) {
+  const [digits, exponent = '0'] = String(step).split('e');
+  const decimals = Math.max(0, (digits.split('.')[1] || '').length - Number(exponent));
+  const value = between(Math.ceil(min / step), Math.floor(max / step)) * step;
+  return Number(value.toFixed(Math.min(decimals, 100)));
+}
+
+function generateInteger(schema) {
+  let { min, max } = numberBounds(schema);
+  min = Math.ceil(min);
+  max = Math.floor(max);
+  if (schema.exclusiveMinimum && min === schema.minimum) {
+    min += 1;
+  }
+  if (schema.exclusiveMaximum && max === schema.maximum) {
+    max -= 1;
+  }
+
+  if (schema.multipleOf) {
+    return multipleBetween(min, max, schema.multipleOf);
+  }
+  return between(min, max);
+}
+
+function generateNumber(schema) {
+  const { min, max } = numberBounds(schema);
+  if (schema.multipleOf) {
+    return multipleBetween(min, max, schema.multipleOf);
+  }
+  return Math.round((min + random() * (max - min)) * 100) / 100;
+}
+
+function generateArray(schema, registry, path) {
+  const min = schema.minItems || 0;
+  const max = schema.maxItems ?? min + DEFAULT_SPREAD.items;
+  const count = between(min, Math.max(min, max));
+  const itemSchema = schema.items || {};
+
+  const items = [];
+  const seen = new Set();
+  for (let attempt = 0; items.length < count && attempt < count * MAX_ATTEMPTS; attempt++) {
+    const item = generateValue(itemSchema, registry, `${path}[${items.length}]`);
+    if (schema.uniqueItems) {
+      const key = JSON.stringify(item);
+      if (seen.has(key)) {
+        continue;
+      }
+      seen.add(key);
+    }
+    items.push(item);
+  }
+  return items;
+}
+
+function generateObject(schema, registry, path) {
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+  const keys = [...new Set([...required, ...Object.keys(properties)])];
+
+  // Drop optional properties beyond maxProperties
+  if (schema.maxProperties !== undefined) {
+    while (keys.length > schema.maxProperties && keys.some(key => !required.includes(key))) {
+      keys.splice(keys.findIndex(key => !required.includes(key)), 1);
+    }
+  }
+
+  // Pad with extra properties up to minProperties where they are allowed
+  if (schema.additionalProperties !== false) {
+    for (let i = 1; keys.length < (schema.minProperties || 0); i++) {
+      if (!keys.includes(`property${i}`)) {
+        keys.push(`property${i}`);
+      }
+    }
+  }
+
+  const extraSchema = typeof schema.additionalProperties === 'object' ? schema.additionalProperties : { type: 'string' };
+  const result = {};
+  for (const key of keys) {
+    result[key] = generateValue(properties[key] || extraSchema, registry, path ? `${path}.${key}` : key);
+  }
+  return result;
+}
+
+module.exports = { generateFromJsonSchema, FORMAT_GENERATORS };
@@ -0,0 +1,281 @@
+/**
+ * @module locales
+ * @description Locale packs for the name, address, company, phone,
+ * postcode and date generators. A pack only needs the categories it changes; anything missing
+ * is read from its `fallback` pack, and every chain ends at en-US.
+ */
+
+/**
+ * Locale used when none is selected
+ * @type {string}
+ */
+const DEFAULT_LOCALE = 'en-US';
+
+/**
+ * Built-in locale packs.
+ * Pattern placeholders: `#` is any digit, `N` is a digit from 2 to 9.
+ * Street formats use `{street}`, company formats `{last}`, and date
+ * formats the YYYY, MM and DD tokens.
+ * @type {Object.<string, Object>}
+ */
+const LOCALES = {
+  'en-US': {
+    name: 'English (United States)',
+    direction: 'ltr',
+    firstNames: [
+      'Alice', 'Bob', 'Charlie', 'Diana', 'Edward',
+      'Fiona', 'George', 'Hannah', 'Ivan', 'Julia',
+      'Kevin', 'Laura', 'Michael', 'Nancy', 'Oscar',
+    ],
+    lastNames: [
+      'Smith', 'Johnson', 'Williams', 'Brown', 'Jones',
+      'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez',
+      'Wilson', 'Anderson', 'Taylor', 'Thomas', 'Moore',
+    ],
+    nameFormat: '{first} {last}',
+    phoneFormats: ['+1-N##-N##-####'],
+    postcodeFormats: ['#####', '#####-####'],
+    dateFormat: 'MM/DD/YYYY',
+    streets: [
+      'Main St', 'Oak Ave', 'Maple Dr', 'Cedar Ln', 'Park Rd',
+      'Pine St', 'Elm St', 'Washington Blvd', 'Lake View Dr', 'Hillcrest Ave',
+    ],
+    streetFormats: ['N## {street}', 'N### {street}'],
+    cities: [
+      'Springfield', 'Portland', 'Austin', 'Denver', 'Seattle',
+      'Boston', 'Chicago', 'San Diego', 'Atlanta', 'Miami',
+    ],
+    country: 'US',
+    companyFormats: ['{last} Inc.', '{last} LLC', '{last} Group', '{last} & {last}'],
+  },
+  'de-DE': {
+    name: 'Deutsch (Deutschland)',
+    fallback: 'en-US',
+    firstNames: [
+      'Lukas', 'Anna', 'Leon', 'Mia', 'Finn',
+      'Emma', 'Paul', 'Hannah', 'Jonas', 'Lea',
+      'Felix', 'Sophie', 'Maximilian', 'Marie', 'Jürgen',
+    ],
+    lastNames: [
+      'Müller', 'Schmidt', 'Schneider', 'Fischer', 'Weber',
+      'Meyer', 'Wagner', 'Becker', 'Schulz', 'Hoffmann',
+      'Schäfer', 'Koch', 'Bauer', 'Richter', 'Klein',
+    ],
+    phoneFormats: ['+49 30 ########', '+49 89 #######', '+49 15# ########', '+49 17# #######'],
+    postcodeFormats: ['N####'],
+    dateFormat: 'DD.MM.YYYY',
+    streets: [
+      'Hauptstraße', 'Bahnhofstraße', 'Schulstraße', 'Gartenstraße', 'Dorfstraße',
+      'Bergstraße', 'Lindenstraße', 'Kirchstraße', 'Goethestraße', 'Schillerstraße',
+    ],
+    streetFormats: ['{street} N', '{street} 1#'],
+    cities: [
+      'Berlin', 'Hamburg', 'München', 'Köln', 'Frankfurt am Main',
+      'Stuttgart', 'Düsseldorf', 'Leipzig', 'Dresden', 'Nürnberg',
+    ],
+    country: 'DE',
+    companyFormats: ['{last} GmbH', '{last} AG', '{last} & {last} KG'],
+  },
+  'ja-JP': {
+    name: '日本語 (日本)',
+    fallback: 'en-US',
+    firstNames: [
+      '太郎', '花子', '翔太', '陽菜', '蓮',
+      '結衣', '大翔', 'さくら', '悠真', '美咲',
+    ],
+    lastNames: [
+      '佐藤', '鈴木', '高橋', '田中', '伊藤',
+      '渡辺', '山本', '中村', '小林', '加藤',
+    ],
+    nameFormat: '{last} {first}',
+    phoneFormats: ['+81 3-####-####', '+81 6-####-####', '+81 90-####-####', '+81 80-####-####'],
+    postcodeFormats: ['###-####'],
+    dateFormat: 'YYYY/MM/DD',
+    streets: [
+      '丸の内', '銀座', '新宿', '渋谷', '梅田',
+      '栄', '天神', '中央', '本町', '大手町',
+    ],
+    streetFormats: ['{street}N-N-N', '{street}N丁目N-N'],
+    cities: [
+      '東京', '大阪', '名古屋', '札幌', '福岡',
+      '横浜', '京都', '神戸', '仙台', '広島',
+    ],
+    country: 'JP',
+    companyFormats: ['株式会社{last}', '{last}商事株式会社', '{last}工業'],
+  },
+  'pt-BR': {
+    name: 'Português (Brasil)',
+    fallback: 'en-US',
+    firstNames: [
+      'João', 'Maria', 'Pedro', 'Ana', 'Lucas',
+      'Juliana', 'Gabriel', 'Beatriz', 'Rafael', 'Larissa',
+      'Matheus', 'Camila', 'Thiago', 'Letícia', 'Vinícius',
+    ],
+    lastNames: [
+      'Silva', 'Santos', 'Oliveira', 'Souza', 'Rodrigues',
+      'Ferreira', 'Alves', 'Pereira', 'Lima', 'Gomes',
+      'Costa', 'Ribeiro', 'Martins', 'Carvalho', 'Araújo',
+    ],
+    phoneFormats: ['+55 11 9####-####', '+55 21 9####-####', '+55 31 9####-####', '+55 11 N###-####'],
+    postcodeFormats: ['#####-###'],
+    dateFormat: 'DD/MM/YYYY',
+    streets: [
+      'Rua das Flores', 'Avenida Paulista', 'Rua Augusta', 'Rua XV de Novembro', 'Avenida Brasil',
+      'Rua da Consolação', 'Rua Sete de Setembro', 'Avenida Atlântica', 'Rua Direita', 'Avenida Ipiranga',
+    ],
+    streetFormats: ['{street}, N##', '{street}, N###'],
+    cities: [
+      'São Paulo', 'Rio de Janeiro', 'Belo Horizonte', 'Salvador', 'Curitiba',
+      'Porto Alegre', 'Recife', 'Fortaleza', 'Brasília', 'Manaus',
+    ],
+    country: 'BR',
+    companyFormats: ['{last} Ltda.', '{last} S.A.', '{last} & {last} Ltda.'],
+  },
+  'ar-SA': {
+    name: 'العربية (السعودية)',
+    direction: 'rtl',
+    fallback: 'en-US',
+    firstNames: [
+      'محمد', 'فاطمة', 'عبدالله', 'نورة', 'خالد',
+      'سارة', 'فيصل', 'ريم', 'سلطان', 'لمى',
+    ],
+    lastNames: [
+      'العتيبي', 'القحطاني', 'الغامدي', 'الزهراني', 'الشمري',
+      'الدوسري', 'الحربي', 'المطيري', 'السبيعي', 'العنزي',
+    ],
+    phoneFormats: ['+966 5# ### ####', '+966 11 ### ####', '+966 12 ### ####'],
+    postcodeFormats: ['N####'],
+    dateFormat: 'DD/MM/YYYY',
+    streets: [
+      'طريق الملك فهد', 'شارع العليا', 'طريق الملك عبدالعزيز', 'شارع التحلية', 'طريق الأمير سلطان',
+      'شارع الأمير محمد بن عبدالعزيز', 'طريق المدينة', 'شارع الستين', 'طريق الدائري الشرقي', 'شارع الثلاثين',
+    ],
+    streetFormats: ['N### {street}', 'N## {street}'],
+    cities: [
+      'الرياض', 'جدة', 'مكة المكرمة', 'المدينة المنورة', 'الدمام',
+      'الخبر', 'الطائف', 'تبوك', 'أبها', 'بريدة',
+    ],
+    country: 'SA',
+    companyFormats: ['شركة {last}', 'مؤسسة {last} التجارية', 'مجموعة {last}'],
+  },
+};
+
+let activeLocale = DEFAULT_LOCALE;
+
+/**
+ * Resolve a locale code to a registered pack name. Matching is
+ * case-insensitive and a bare language (`ja`, `pt`) picks the first pack
+ * for that language.
+ * @param {string} locale - Locale code such as 'de-DE', 'pt_br' or 'ja'
+ * @returns {string} Registered locale code
+ * @throws {Error} If no pack matches
+ */
+function resolveLocale(locale) {
+  if (typeof locale !== 'string' || locale.length === 0) {
+    throw new Error('Locale must be a non-empty string');
+  }
+
+  const wanted = locale.replace('_', '-').toLowerCase();
+  const codes = Object.keys(LOCALES);
+  const exact = codes.find(code => code.toLowerCase() === wanted);
+  if (exact) {
+    return exact;
+  }
+
+  const language = wanted.split('-')[0];
+  const sameLanguage = codes.find(code => code.toLowerCase().split('-')[0] === language);
+  if (sameLanguage) {
+    return sameLanguage;
+  }
+
+  throw new Error(`Unknown locale: ${locale}`);
+}
+
+/**
+ * Read a category from a locale pack, following the fallback chain
+ * @param {string} category - Pack key, e.g. 'firstNames' or 'dateFormat'
+ * @param {string} [locale] - Locale code; defaults to the active locale
+ * @returns {*} Category value, or undefined if no pack in the chain has it
+ */
+function getLocaleData(category, locale) {
+  const visited = new Set();
+  let code = resolveLocale(locale || activeLocale);
+
+  while (code && !visited.has(code)) {
+    visited.add(code);
+    const pack = LOCALES[code];
+    if (pack[category] !== undefined) {
+      return pack[category];
+    }
+    code = pack.fallback || (code === DEFAULT_LOCALE ? null : DEFAULT_LOCALE);
+  }
+
+  return undefined;
+}
+
+/**
+ * Add or replace a locale pack
+ * @param {string} code - Locale code, e.g. 'fr-FR'
+ * @param {Object} pack - Pack data; missing categories come from `pack.fallback` or en-US
+ * @example
+ * registerLocale('fr-FR', { firstNames: ['Camille', 'Louis'], dateFormat: 'DD/MM/YYYY' });
+ */
+function registerLocale(code, pack) {
+  if (typeof code !== 'string' || !/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(code)) {
+    throw new Error('Locale code must look like "xx" or "xx-YY"');
+  }
+  if (!pack || typeof pack !== 'object') {
+    throw new Error('Locale pack must be an object');
+  }
+  if (pack.fallback !== undefined) {
+    resolveLocale(pack.fallback);
+  }
+  LOCALES[code] = { ...pack };
+}
+
+/**
+ * Select the locale used when a generator is called without one
+ * @param {string} locale - Locale code
+ */
+function setLocale(locale) {
+  activeLocale = resolveLocale(locale);
+}
+
+/**
+ * Get the active locale code
+ * @returns {string}
+ */
+function getLocale() {
+  return activeLocale;
+}
+
+/**
+ * Run a synchronous function with a different active locale
+ * @param {string|null} locale - Locale code; null keeps the current one
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function withLocale(locale, fn) {
+  if (!locale) {
+    return fn();
+  }
+
+  const previous = activeLocale;
+  activeLocale = resolveLocale(locale);
+  try {
+    return fn();
+  } finally {
+    activeLocale = previous;
+  }
+}
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALES,
+  resolveLocale,
+  getLocaleData,
+  registerLocale,
+  setLocale,
+  getLocale,
+  withLocale
+};
@@ -0,0 +1,160 @@
+/**
+ * @module random
+ * @description Seedable pseudo-random number source behind the generators.
+ * Unseeded sources defer to Math.random(); seeded sources use mulberry32,
+ * which only relies on 32-bit integer arithmetic and therefore yields the
+ * same sequence on every platform.
+ */
+
+/**
+ * Reference time used by date generators while a seed is active, so seeded
+ * dates do not drift with the wall clock
+ * @type {number}
+ */
+const SEEDED_REFERENCE_TIME = Date.UTC(2024, 0, 1);
+
+/**
+ * Convert a numeric or string seed into an unsigned 32-bit state
+ * @param {number|string} seed - Seed value
+ * @returns {number} Initial PRNG state
+ */
+function hashSeed(seed) {
+  if (typeof seed === 'number') {
+    if (!Number.isFinite(seed)) {
+      throw new Error('Seed must be a finite number or a string');
+    }
+    return Math.floor(seed) >>> 0;
+  }
+
+  if (typeof seed !== 'string') {
+    throw new Error('Seed must be a finite number or a string');
+  }
+
+  // FNV-1a
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class RandomSource {
+  /**
+   * @param {number|string} [seed] - Seed; omit for Math.random()
+   */
+  constructor(seed) {
+    this.reseed(seed);
+  }
+
+  /**
+   * Restart the sequence from a seed, or switch back to Math.random()
+   * @param {number|string} [seed] - Seed; omit for Math.random()
+   */
+  reseed(seed) {
+    this.seed = seed;
+    this.state = seed === undefined || seed === null ? null : hashSeed(seed);
+  }
+
+  /**
+   * Whether the source produces a deterministic sequence
+   * @type {boolean}
+   */
+  get seeded() {
+    return this.state !== null;
+  }
+
+  /**
+   * Next float in [0, 1)
+   * @returns {number}
+   */
+  next() {
+    if (this.state === null) {
+      return Math.random();
+    }
+
+    // mulberry32
+    this.state = (this.state + 0x6d2b79f5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  /**
+   * Current time for relative date generation
+   * @returns {number} Milliseconds since the epoch
+   */
+  now() {
+    return this.seeded ? SEEDED_REFERENCE_TIME : Date.now();
+  }
+}
+
+const globalSource = new RandomSource();
+let currentSource = globalSource;
+
+/**
+ * Next float in [0, 1) from the active source
+ * @returns {number}
+ */
+function random() {
+  return currentSource.next();
+}
+
+/**
+ * Current time as seen by the active source
+ * @returns {number} Milliseconds since the epoch
+ */
+function now() {
+  return currentSource.now();
+}
+
+/**
+ * Seed the global source used when no server or route seed applies
+ * @param {number|string} [value] - Seed; omit to go back to Math.random()
+ * @example
+ * seed(42);
+ * generators.uuid(); // same value on every run
+ */
+function seed(value) {
+  globalSource.reseed(value);
+}
+
+/**
+ * Run a synchronous function with a different active source
+ * @param {RandomSource|null} source - Source to use; null keeps the current one
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function withRandom(source, fn) {
+  if (!source) {
+    return fn();
+  }
+
+  const previous = currentSource;
+  currentSource = source;
+  try {
+    return fn();
+  } finally {
+    currentSource = previous;
+  }
+}
+
+/**
+ * Create an independent random source
+ * @param {number|string} [seed] - Seed; omit for Math.random()
+ * @returns {RandomSource}
+ */
+function createRandom(seed) {
+  return new RandomSource(seed);
+}
+
+module.exports = {
+  RandomSource,
+  createRandom,
+  random,
+  now,
+  seed,
+  withRandom,
+  hashSeed
+};
@@ -0,0 +1,151 @@
+/**
+ * Request matchers for route registration
+ * Lets routes that share a method and path be told apart by query, headers or body
+ */
+
+const MATCHER_PARTS = ['query', 'headers', 'body'];
+
+/**
+ * Compile a route's `match` option into a reusable matcher
+ * @param {object} match - Matcher definition
+ * @param {object|Function} [match.query] - Expected query values, or predicate(query)
+ * @param {object|Function} [match.headers] - Expected header values (case-insensitive names), or predicate(headers)
+ * @param {*} [match.body] - Partial deep-equal body pattern, RegExp, or predicate(body)
+ * @returns {{test: Function, constraints: number, key: string}} - Compiled matcher
+ */
+function createRequestMatcher(match) {
+  if (!match || typeof match !== 'object') {
+    throw new Error('Route match option must be an object');
+  }
+
+  const unknown = Object.keys(match).filter(part => !MATCHER_PARTS.includes(part));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown match option(s): ${unknown.join(', ')}`);
+  }
+
+  const headers = match.headers && typeof match.headers === 'object' && !(match.headers instanceof RegExp)
+    ? lowerCaseKeys(match.headers)
+    : match.headers;
+
+  return {
+    /**
+     * Check a request against the matcher. Parts missing from the request
+     * object are not checked, so a route can be pre-matched before its body
+     * is known.
+     * @param {object} request - { query, headers, body }
+     * @returns {boolean}
+     */
+    test(request) {
+      if (match.query !== undefined && 'query' in request &&
+          !matchesFields(match.query, request.query || {})) {
+        return false;
+      }
+      if (headers !== undefined && 'headers' in request &&
+          !matchesFields(headers, lowerCaseKeys(request.headers || {}))) {
+        return false;
+      }
+      if (match.body !== undefined && 'body' in request &&
+          !matchesValue(match.body, request.body)) {
+        return false;
+      }
+      return true;
+    },
+    constraints: countConstraints(match.query) + countConstraints(headers) + countConstraints(match.body),
+    key: serializeMatcher(match)
+  };
+}
+
+/**
+ * Check every expected field against an object of actual values
+ */
+function matchesFields(expected, actual) {
+  if (typeof expected === 'function') {
+    return Boolean(expected(actual));
+  }
+  return Object.entries(expected).every(([key, value]) => matchesValue(value, actual[key]));
+}
+
+/**
+ * Match a single expected value against an actual value.
+ * RegExp and functions test the value; objects and arrays are compared as a
+ * partial deep-equal (every expected key must match, extra keys are allowed);
+ * scalars compare after string conversion so query values match numbers.
+ * @param {*} expected - Expected value, RegExp or predicate
+ * @param {*} actual - Actual request value
+ * @returns {boolean}
+ */
+function matchesValue(expected, actual) {
+  if (typeof expected === 'function') {
+    return Boolean(expected(actual));
+  }
+
+  if (expected instanceof RegExp) {
+    return actual !== undefined && actual !== null && expected.test(String(actual));
+  }
+
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) &&
+      actual.length === expected.length &&
+      expected.every((item, index) => matchesValue(item, actual[index]));
+  }
+
+  if (expected !== null && typeof expected === 'object') {
+    return actual !== null && typeof actual === 'object' &&
+      Object.entries(expected).every(([key, value]) => matchesValue(value, actual[key]));
+  }
+
+  if (expected === null || expected === undefined || actual === null || actual === undefined) {
+    return expected === actual;
+  }
+
+  return String(expected) === String(actual);
+}
+
+/**
+ * Count leaf constraints, used to prefer the most constrained route
+ */
+function countConstraints(expected) {
+  if (expected === undefined) {
+    return 0;
+  }
+  if (expected === null || typeof expected !== 'object' || expected instanceof RegExp) {
+    return 1;
+  }
+
+  const values = Array.isArray(expected) ? expected : Object.values(expected);
+  return values.reduce((total, value) => total + countConstraints(value), 0);
+}
+
+// Ids for function and RegExp matchers, which are keyed by identity
+const matcherIds = new WeakMap();
+let nextMatcherId = 1;
+
+/**
+ * Serialize a matcher definition so identical matchers share a route key.
+ * Functions and RegExps only match themselves: closures with the same
+ * source can capture different values.
+ */
+function serializeMatcher(match) {
+  return JSON.stringify(match, (key, value) => {
+    if (typeof value === 'function' || value instanceof RegExp) {
+      if (!matcherIds.has(value)) {
+        matcherIds.set(value, nextMatcherId++);
+      }
+      return `${value.constructor.name}#${matcherIds.get(value)}`;
+    }
+    return value;
+  });
+}
+
+function lowerCaseKeys(object) {
+  const result = {};
+  for (const [key, value] of Object.entries(object)) {
+    result[key.toLowerCase()] = value;
+  }
+  return result;
+}
+
+module.exports = {
+  createRequestMatcher,
+  matchesValue
+};
@@ -3,18 +3,25 @@
  * Processes matched routes and generates mock responses
  */
 
-const { SchemaParser } = require('./schema');
-const generators = require('./generators');
+const { compileSchema } = require('./schema');
+const { generateFromJsonSchema } = require('./json-schema');
+const { withRandom } = require('./random');
+const { withLocale } = require('./locales');
+const { withGenerationScope } = require('./sequences');
 
 class ResponseHandler {
   constructor(options = {}) {
     this.defaultDelay = options.delay || 0;
-    this.schemaParser = new SchemaParser();
+    this.generators = options.generators;
+    this.locale = options.locale || null;
+    this.compiledSchemas = new WeakMap();
   }
 
   /**
    * Generate a response for the matched route
    * @param {object} route - Matched route from router
+   * @param {RandomSource} [route.random] - Random source for generated data; defaults to the global one
+   * @param {{route: SequenceStore, server: SequenceStore}} [route.sequences] - Counters for `sequence`; default to the global ones
    * @param {object} context - Request context (body, query, headers)
    * @returns {Promise<object>} - Generated response
    */
@@ -33,7 +40,11 @@ class ResponseHandler {
     }
 
     // Generate response body
-    const body = this._generateBody(config, { params, ...context });
+    const body = withRandom(route.random, () => withLocale(this.locale, () => (
+      withGenerationScope({ ...route.sequences, registry: this.generators }, () => (
+        this._generateBody(config, { params, ...context })
+      ))
+    )));
 
     return {
       status: config.status || 200,
@@ -43,11 +54,15 @@ class ResponseHandler {
   }
 
   /**
-   * Generate response body from schema or static data
+   * Generate response body from schema, JSON Schema or static data
    */
   _generateBody(config, context) {
-    if (config.schema) {
-      return this._processSchema(config.schema, context);
+    if (config.schema !== undefined) {
+      return this._compile(config.schema)(context);
+    }
+
+    if (config.jsonSchema) {
+      return generateFromJsonSchema(config.jsonSchema, { generators: this.generators });
     }
     
     if (config.body !== undefined) {
@@ -60,66 +75,19 @@ class ResponseHandler {
   }
 
   /**
-   * Process schema definition and generate data
+   * Compile a schema once and reuse it for later requests
    */
-  _processSchema(schema, context) {
-    if (Array.isArray(schema)) {
-      const count = schema.length > 0 && schema[0]._count 
-        ? schema[0]._count 
-        : 1;
-      const itemSchema = schema[0] || {};
-      delete itemSchema._count;
-      
-      return Array.from({ length: count }, () => 
-        this._processSchema(itemSchema, context)
-      );
+  _compile(schema) {
+    if (schema === null || typeof schema !== 'object') {
+      return compileSchema(schema, { generators: this.generators });
     }
 
-    if (typeof schema === 'object' && schema !== null) {
-      const result = {};
-      
-      for (const [key, value] of Object.entries(schema)) {
-        if (key.startsWith('_')) continue;
-        result[key] = this._processValue(value, context);
-      }
-      
-      return result;
+    let compiled = this.compiledSchemas.get(schema);
+    if (!compiled) {
+      compiled = compileSchema(schema, { generators: this.generators });
+      this.compiledSchemas.set(schema, compiled);
     }
-
-    return this._processValue(schema, context);
-  }
-
-  /**
-   * Process individual schema value
-   */
-  _processValue(value, context) {
-    if (typeof value === 'string' && value.startsWith('$')) {
-      return this._resolveGenerator(value.slice(1), context);
-    }
-    
-    if (typeof value === 'object' && value !== null) {
-      return this._processSchema(value, context);
-    }
-    
-    return value;
-  }
-
-  /**
-   * Resolve generator function from string identifier
-   */
-  _resolveGenerator(identifier, context) {
-    // Handle param references like $params.id
-    if (identifier.startsWith('params.')) {
-      const paramName = identifier.slice(7);
-      return context.params?.[paramName];
-    }
-
-    // Handle built-in generators
-    if (generators[identifier]) {
-      return generators[identifier]();
-    }
-
-    return `$${identifier}`;
+    return compiled;
   }
 
   /**
@@ -149,4 +117,36 @@ class ResponseHandler {
   }
 }
 
-module.exports = { ResponseHandler };
+/**
+ * Serialize a response body for the wire
+ * @param {*} body - Response body
+ * @returns {{payload: (string|Buffer), contentType: (string|null)}} - Payload and default content type
+ */
+function serializeBody(body) {
+  if (body === null || body === undefined) {
+    return { payload: '', contentType: null };
+  }
+
+  if (Buffer.isBuffer(body)) {
+    return { payload: body, contentType: 'application/octet-stream' };
+  }
+
+  if (typeof body === 'string') {
+    return { payload: body, contentType: 'text/plain; charset=utf-8' };
+  }
+
+  return { payload: JSON.stringify(body), contentType: 'application/json; charset=utf-8' };
+}
+
+/**
+ * Check whether a header is present, ignoring case
+ * @param {object} headers - Header map
+ * @param {string} name - Header name
+ * @returns {boolean}
+ */
+function hasHeader(headers, name) {
+  const lower = name.toLowerCase();
+  return Object.keys(headers || {}).some(key => key.toLowerCase() === lower);
+}
+
+module.exports = { ResponseHandler, serializeBody, hasHeader };
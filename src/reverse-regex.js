@@ -0,0 +1,435 @@
+/**
+ * @module reverse-regex
+ * @description Generates strings that match a regular expression.
+ * Supports literals, `.`, character classes and ranges (including negated
+ * classes), the \d \w \s escapes and their negations, groups (capturing,
+ * non-capturing and named), alternation, backreferences, anchors and all
+ * quantifiers. `\b` is treated as an empty match, so place it between word
+ * and non-word characters; lookarounds and `\B` are rejected. Unbounded repetition (`*`, `+`, `{n,}`) is capped at
+ * `min + maxRepeat`. Negated sets draw from printable ASCII.
+ */
+
+const { random } = require('./random');
+
+/**
+ * Printable ASCII, the universe for `.` and negated sets
+ */
+const PRINTABLE = [[32, 126]];
+
+const DIGIT = [[48, 57]];
+const WORD = [[48, 57], [65, 90], [95, 95], [97, 122]];
+const SPACE = [[32, 32], [9, 9]];
+
+const DEFAULT_MAX_REPEAT = 10;
+
+/**
+ * Remove the ranges of `excluded` from `ranges`
+ * @param {Array<Array<number>>} ranges - Code point ranges
+ * @param {Array<Array<number>>} excluded - Code point ranges to remove
+ * @returns {Array<Array<number>>} Remaining ranges
+ */
+function subtractRanges(ranges, excluded) {
+  let result = ranges;
+  for (const [low, high] of excluded) {
+    const next = [];
+    for (const [from, to] of result) {
+      if (high < from || low > to) {
+        next.push([from, to]);
+        continue;
+      }
+      if (from < low) {
+        next.push([from, low - 1]);
+      }
+      if (to > high) {
+        next.push([high + 1, to]);
+      }
+    }
+    result = next;
+  }
+  return result;
+}
+
+function negate(ranges) {
+  return subtractRanges(PRINTABLE, ranges);
+}
+
+/**
+ * Recursive-descent parser turning a pattern into a small AST
+ */
+class RegexParser {
+  constructor(source) {
+    this.source = source;
+    this.index = 0;
+    this.groupCount = 0;
+    this.groupNames = {};
+  }
+
+  parse() {
+    const node = this.parseAlternation();
+    if (this.index < this.source.length) {
+      throw this.error(`Unexpected "${this.source[this.index]}"`);
+    }
+    return node;
+  }
+
+  error(message) {
+    return new Error(`Invalid regex /${this.source}/: ${message} at position ${this.index}`);
+  }
+
+  peek() {
+    return this.source[this.index];
+  }
+
+  parseAlternation() {
+    const options = [this.parseSequence()];
+    while (this.peek() === '|') {
+      this.index++;
+      options.push(this.parseSequence());
+    }
+    return options.length === 1 ? options[0] : { type: 'alternation', options };
+  }
+
+  parseSequence() {
+    const items = [];
+    while (this.index < this.source.length && this.peek() !== '|' && this.peek() !== ')') {
+      const atom = this.parseAtom();
+      items.push(this.parseQuantifier(atom));
+    }
+    return { type: 'sequence', items };
+  }
+
+  parseAtom() {
+    const char = this.source[this.index++];
+
+    switch (char) {
+      case '^':
+      case '$':
+        return { type: 'empty' };
+      case '.':
+        return { type: 'set', ranges: subtractRanges(PRINTABLE, [[10, 10]]) };
+      case '[':
+        return this.parseClass();
+      case '(':
+        return this.parseGroup();
+      case '\\':
+        return this.parseEscape(false);
+      case '*':
+      case '+':
+      case '?':
+        throw this.error('Nothing to repeat');
+      case '{':
+        if (/^\d+(,\d*)?}/.test(this.source.slice(this.index))) {
+          throw this.error('Nothing to repeat');
+        }
+        return { type: 'literal', value: char };
+      default:
+        return { type: 'literal', value: char };
+    }
+  }
+
+  parseGroup() {
+    let capture = true;
+    let name = null;
+
+    if (this.peek() === '?') {
+      const rest = this.source.slice(this.index);
+      if (rest.startsWith('?:')) {
+        capture = false;
+        this.index += 2;
+      } else if (/^\?<[A-Za-z_$][\w$]*>/.test(rest)) {
+        const end = this.source.indexOf('>', this.index);
+        name = this.source.slice(this.index + 2, end);
+        this.index = end + 1;
+      } else if (/^\?<?[=!]/.test(rest)) {
+        throw this.error('Lookaround assertions are not supported');
+      } else {
+        throw this.error('Invalid group');
+      }
+    }
+
+    const group = { type: 'group', capture, index: null };
+    if (capture) {
+      group.index = ++this.groupCount;
+      if (name) {
+        this.groupNames[name] = group.index;
+      }
+    }
+
+    group.node = this.parseAlternation();
+    if (this.peek() !== ')') {
+      throw this.error('Unterminated group');
+    }
+    this.index++;
+    return group;
+  }
+
+  parseClass() {
+    let negated = false;
+    if (this.peek() === '^') {
+      negated = true;
+      this.index++;
+    }
+
+    const ranges = [];
+    while (this.index < this.source.length && this.peek() !== ']') {
+      const start = this.parseClassAtom();
+      if (start.ranges) {
+        ranges.push(...start.ranges);
+        continue;
+      }
+
+      if (this.peek() === '-' && this.source[this.index + 1] !== ']' && this.index + 1 < this.source.length) {
+        this.index++;
+        const end = this.parseClassAtom();
+        if (end.ranges) {
+          throw this.error('Invalid character class range');
+        }
+        if (end.code < start.code) {
+          throw this.error('Character class range out of order');
+        }
+        ranges.push([start.code, end.code]);
+      } else {
+        ranges.push([start.code, start.code]);
+      }
+    }
+
+    if (this.peek() !== ']') {
+      throw this.error('Unterminated character class');
+    }
+    this.index++;
+
+    return { type: 'set', ranges: negated ? negate(ranges) : ranges };
+  }
+
+  parseClassAtom() {
+    const char = this.source[this.index++];
+    if (char !== '\\') {
+      return { code: char.codePointAt(0) };
+    }
+
+    const escape = this.parseEscape(true);
+    if (escape.type === 'set') {
+      return { ranges: escape.ranges };
+    }
+    return { code: escape.value.codePointAt(0) };
+  }
+
+  parseEscape(inClass) {
+    const char = this.source[this.index++];
+    if (char === undefined) {
+      throw this.error('Trailing backslash');
+    }
+
+    switch (char) {
+      case 'd': return { type: 'set', ranges: DIGIT };
+      case 'D': return { type: 'set', ranges: negate(DIGIT) };
+      case 'w': return { type: 'set', ranges: WORD };
+      case 'W': return { type: 'set', ranges: negate(WORD) };
+      case 's': return { type: 'set', ranges: SPACE };
+      case 'S': return { type: 'set', ranges: negate(SPACE) };
+      case 't': return { type: 'literal', value: '\t' };
+      case 'n': return { type: 'literal', value: '\n' };
+      case 'r': return { type: 'literal', value: '\r' };
+      case 'f': return { type: 'literal', value: '\f' };
+      case 'v': return { type: 'literal', value: '\v' };
+      case '0': return { type: 'literal', value: '\0' };
+      case 'x': return { type: 'literal', value: String.fromCharCode(this.parseHex(2)) };
+      case 'u': return { type: 'literal', value: String.fromCharCode(this.parseHex(4)) };
+      case 'b':
+        return inClass ? { type: 'literal', value: '\b' } : { type: 'empty' };
+      case 'B':
+        throw this.error('\\B assertions are not supported');
+      case 'k':
+        if (!inClass && this.peek() === '<') {
+          const end = this.source.indexOf('>', this.index);
+          const name = this.source.slice(this.index + 1, end);
+          this.index = end + 1;
+          return { type: 'backreference', name };
+        }
+        return { type: 'literal', value: char };
+      default:
+        if (!inClass && /[1-9]/.test(char)) {
+          let digits = char;
+          while (/\d/.test(this.peek() || '')) {
+            digits += this.source[this.index++];
+          }
+          return { type: 'backreference', index: Number(digits) };
+        }
+        return { type: 'literal', value: char };
+    }
+  }
+
+  parseHex(length) {
+    const digits = this.source.slice(this.index, this.index + length);
+    if (!new RegExp(`^[0-9a-fA-F]{${length}}$`).test(digits)) {
+      throw this.error('Invalid hex escape');
+    }
+    this.index += length;
+    return parseInt(digits, 16);
+  }
+
+  parseQuantifier(atom) {
+    const char = this.peek();
+    let min;
+    let max;
+
+    if (char === '*') {
+      [min, max] = [0, Infinity];
+      this.index++;
+    } else if (char === '+') {
+      [min, max] = [1, Infinity];
+      this.index++;
+    } else if (char === '?') {
+      [min, max] = [0, 1];
+      this.index++;
+    } else if (char === '{') {
+      const match = this.source.slice(this.index).match(/^\{(\d+)(,(\d*))?\}/);
+      if (!match) {
+        return atom;
+      }
+      min = Number(match[1]);
+      max = match[2] === undefined ? min : (match[3] === '' ? Infinity : Number(match[3]));
+      if (max < min) {
+        throw this.error('Numbers out of order in quantifier');
+      }
+      this.index += match[0].length;
+    } else {
+      return atom;
+    }
+
+    // Lazy quantifiers generate the same strings
+    if (this.peek() === '?') {
+      this.index++;
+    }
+    if (['*', '+', '?'].includes(this.peek()) || (this.peek() === '{' && /^\{\d/.test(this.source.slice(this.index)))) {
+      throw this.error('Nothing to repeat');
+    }
+
+    return { type: 'repeat', node: atom, min, max };
+  }
+}
+
+/**
+ * Walks the AST and builds a matching string
+ */
+class RegexGenerator {
+  constructor(ast, options) {
+    this.ast = ast;
+    this.maxRepeat = options.maxRepeat;
+    this.ignoreCase = options.ignoreCase;
+    this.groupNames = options.groupNames;
+  }
+
+  generate() {
+    this.captures = {};
+    return this.visit(this.ast);
+  }
+
+  visit(node) {
+    switch (node.type) {
+      case 'empty':
+        return '';
+      case 'literal':
+        return this.ignoreCase ? randomCase(node.value) : node.value;
+      case 'set':
+        return this.pickFromSet(node.ranges);
+      case 'sequence':
+        return node.items.map(item => this.visit(item)).join('');
+      case 'alternation':
+        return this.visit(node.options[Math.floor(random() * node.options.length)]);
+      case 'group': {
+        const value = this.visit(node.node);
+        if (node.capture) {
+          this.captures[node.index] = value;
+        }
+        return value;
+      }
+      case 'backreference': {
+        const index = node.name !== undefined ? this.groupNames[node.name] : node.index;
+        return this.captures[index] || '';
+      }
+      case 'repeat': {
+        const max = node.max === Infinity ? node.min + this.maxRepeat : node.max;
+        const count = node.min + Math.floor(random() * (max - node.min + 1));
+        let result = '';
+        for (let i = 0; i < count; i++) {
+          result += this.visit(node.node);
+        }
+        return result;
+      }
+      default:
+        throw new Error(`Unknown regex node: ${node.type}`);
+    }
+  }
+
+  pickFromSet(ranges) {
+    const total = ranges.reduce((sum, [low, high]) => sum + high - low + 1, 0);
+    if (total === 0) {
+      throw new Error('Character class matches no printable characters');
+    }
+
+    let offset = Math.floor(random() * total);
+    for (const [low, high] of ranges) {
+      const size = high - low + 1;
+      if (offset < size) {
+        const char = String.fromCodePoint(low + offset);
+        return this.ignoreCase ? randomCase(char) : char;
+      }
+      offset -= size;
+    }
+    return '';
+  }
+}
+
+function randomCase(char) {
+  const lower = char.toLowerCase();
+  const upper = char.toUpperCase();
+  if (lower === upper) {
+    return char;
+  }
+  return random() < 0.5 ? lower : upper;
+}
+
+/**
+ * Compile a pattern into a reusable string generator
+ * @param {string|RegExp} pattern - Pattern source or RegExp (the `i` flag is honoured)
+ * @param {Object} [options={}] - Generation options
+ * @param {number} [options.maxRepeat=10] - Extra repetitions allowed for `*`, `+` and `{n,}`
+ * @returns {Function} Function() => matching string
+ * @throws {Error} If the pattern is invalid or uses lookaround
+ * @example
+ * const sku = compileRegex('^[A-Z]{3}-\\d{4}$');
+ * sku() // => 'QXB-4821'
+ */
+function compileRegex(pattern, options = {}) {
+  const source = pattern instanceof RegExp ? pattern.source : pattern;
+  if (typeof source !== 'string') {
+    throw new Error('Regex pattern must be a string or RegExp');
+  }
+
+  const parser = new RegexParser(source);
+  const ast = parser.parse();
+  const generator = new RegexGenerator(ast, {
+    maxRepeat: options.maxRepeat ?? DEFAULT_MAX_REPEAT,
+    ignoreCase: pattern instanceof RegExp && pattern.flags.includes('i'),
+    groupNames: parser.groupNames
+  });
+
+  return () => generator.generate();
+}
+
+/**
+ * Generate one string matching a pattern
+ * @param {string|RegExp} pattern - Pattern source or RegExp
+ * @param {Object} [options] - See compileRegex
+ * @returns {string} Matching string
+ */
+function generateFromRegex(pattern, options) {
+  return compileRegex(pattern, options)();
+}
+
+module.exports = {
+  compileRegex,
+  generateFromRegex,
+  DEFAULT_MAX_REPEAT
+};
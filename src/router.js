@@ -1,30 +1,75 @@
 /**
  * Endpoint Router
- * Manages mock endpoint registration and matching
+ * Manages mock endpoint registration and matching.
+ * Routes are indexed in a per-method segment trie, so a lookup walks the
+ * request path instead of testing every registered pattern.
  */
 
+const { createRequestMatcher } = require('./request-matcher');
+
+const NAME_PATTERN = /^[a-zA-Z_][a-zA-Z0-9_]*/;
+
+/**
+ * Segment ranks used for specificity ordering, lower is more specific
+ */
+const SEGMENT_RANK = {
+  static: 0,
+  pattern: 1,
+  constrainedParam: 2,
+  param: 3,
+  optionalParam: 4,
+  splat: 5,
+  multiSplat: 6,
+  regex: 7
+};
+
+/**
+ * Constraint fragments that may match "/" (an unescaped dot, negated
+ * classes or a literal slash); routes using them skip the trie
+ */
+const SLASH_CAPABLE = /(^|[^\\])\.|\\[DSW]|\[\^|\//;
+
 class Router {
   constructor() {
     this.routes = new Map();
+    this.sequence = 0;
+    this.ordered = null;
+    this.trees = null;
   }
 
   /**
    * Register a mock endpoint
    * @param {string} method - HTTP method (GET, POST, PUT, DELETE, etc.)
-   * @param {string} path - URL path pattern (supports :param syntax)
+   * @param {string|RegExp} path - URL path pattern. Supports `:param`,
+   *   optional `:param?`, constrained `:param(\\d+)`, `*` (one segment) and
+   *   `**` (any number of segments) splats, optionally named as `*name`/`**name`.
+   *   A RegExp is matched as-is, with captures exposed as params.
    * @param {object} config - Endpoint configuration
+   * @param {number} [config.priority=0] - Routes with a higher priority are
+   *   tried first, regardless of specificity
+   * @param {object} [config.match] - Request matchers ({ query, headers, body })
+   *   that must also hold for the route to match
    */
   register(method, path, config) {
-    const key = this._createKey(method, path);
-    const pattern = this._pathToRegex(path);
-    
+    const matcher = config?.match ? createRequestMatcher(config.match) : null;
+    const key = this._createKey(method, path, matcher);
+    const { pattern, paramNames, segments } = this._compilePath(path);
+    const existing = this.routes.get(key);
+
     this.routes.set(key, {
       method: method.toUpperCase(),
       path,
       pattern,
-      paramNames: this._extractParamNames(path),
+      paramNames,
+      segments,
+      ranks: segments ? segments.map(segmentRank) : [SEGMENT_RANK.regex],
+      matcher,
+      constraints: matcher ? matcher.constraints : 0,
+      priority: config?.priority ?? 0,
+      order: existing ? existing.order : this.sequence++,
       config
     });
+    this._invalidate();
 
     return this;
   }
@@ -33,16 +78,19 @@ class Router {
    * Find a matching route for the given method and path
    * @param {string} method - HTTP method
    * @param {string} path - Request path
+   * @param {object} [request] - Request parts ({ query, headers, body }) checked
+   *   against route matchers; matchers on parts that are absent are skipped
    * @returns {object|null} - Matched route with extracted params
    */
-  match(method, path) {
-    const normalizedMethod = method.toUpperCase();
-    
-    for (const route of this.routes.values()) {
-      if (route.method !== normalizedMethod) continue;
-      
+  match(method, path, request = {}) {
+    const tree = this._trees().get(method.toUpperCase());
+    if (!tree) {
+      return null;
+    }
+
+    for (const route of tree.candidates(path)) {
       const match = path.match(route.pattern);
-      if (match) {
+      if (match && (!route.matcher || route.matcher.test(request))) {
         const params = this._extractParams(route.paramNames, match);
         return {
           ...route,
@@ -50,18 +98,57 @@ class Router {
         };
       }
     }
-    
+
     return null;
   }
 
+  /**
+   * List the methods that have a route for a path, as used in an Allow header.
+   * HEAD is implied by GET and OPTIONS by any route.
+   * @param {string} path - Request path
+   * @returns {Array<string>} - Sorted method names, empty if no route matches the path
+   */
+  allowedMethods(path) {
+    const methods = new Set();
+
+    for (const [method, tree] of this._trees()) {
+      if (tree.candidates(path).some(route => route.pattern.test(path))) {
+        methods.add(method);
+      }
+    }
+
+    if (methods.size === 0) {
+      return [];
+    }
+    if (methods.has('GET')) {
+      methods.add('HEAD');
+    }
+    methods.add('OPTIONS');
+    return Array.from(methods).sort();
+  }
+
   /**
    * Remove a registered route
    * @param {string} method - HTTP method
-   * @param {string} path - URL path pattern
+   * @param {string|RegExp} path - URL path pattern
+   * @param {object} [match] - Matcher the route was registered with; when
+   *   omitted every route for the method and path is removed
    */
-  unregister(method, path) {
-    const key = this._createKey(method, path);
-    return this.routes.delete(key);
+  unregister(method, path, match) {
+    this._invalidate();
+
+    if (match) {
+      return this.routes.delete(this._createKey(method, path, createRequestMatcher(match)));
+    }
+
+    let removed = false;
+    const prefix = this._createKey(method, path);
+    for (const key of Array.from(this.routes.keys())) {
+      if (key === prefix || key.startsWith(`${prefix}#`)) {
+        removed = this.routes.delete(key) || removed;
+      }
+    }
+    return removed;
   }
 
   /**
@@ -69,39 +156,493 @@ class Router {
    */
   clear() {
     this.routes.clear();
+    this._invalidate();
   }
 
   /**
-   * Get all registered routes
+   * Get all registered routes in the order match() tries them
    * @returns {Array} - Array of route definitions
    */
   getRoutes() {
-    return Array.from(this.routes.values());
+    return [...this._orderedRoutes()];
   }
 
-  _createKey(method, path) {
-    return `${method.toUpperCase()}:${path}`;
+  _invalidate() {
+    this.ordered = null;
+    this.trees = null;
   }
 
-  _pathToRegex(path) {
-    const escaped = path
-      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
-      .replace(/\\:([a-zA-Z_][a-zA-Z0-9_]*)/g, '([^/]+)');
-    return new RegExp(`^${escaped}$`);
+  /**
+   * Per-method route tries, rebuilt lazily after routes change
+   */
+  _trees() {
+    if (!this.trees) {
+      this.trees = new Map();
+      for (const route of this.routes.values()) {
+        if (!this.trees.has(route.method)) {
+          this.trees.set(route.method, new RouteTrie());
+        }
+        this.trees.get(route.method).insert(route);
+      }
+    }
+    return this.trees;
   }
 
-  _extractParamNames(path) {
-    const matches = path.match(/:([a-zA-Z_][a-zA-Z0-9_]*)/g) || [];
-    return matches.map(m => m.slice(1));
+  /**
+   * Routes sorted by priority, then specificity, then registration order
+   */
+  _orderedRoutes() {
+    if (!this.ordered) {
+      this.ordered = Array.from(this.routes.values()).sort(compareRoutes);
+    }
+    return this.ordered;
+  }
+
+  _createKey(method, path, matcher = null) {
+    const key = `${method.toUpperCase()}:${path}`;
+    return matcher ? `${key}#${matcher.key}` : key;
+  }
+
+  /**
+   * Compile a path pattern into a regex, its capture names and parsed segments
+   */
+  _compilePath(path) {
+    if (path instanceof RegExp) {
+      return { pattern: path, paramNames: null, segments: null };
+    }
+
+    if (typeof path !== 'string' || !path.startsWith('/')) {
+      throw new Error(`Route path must be a RegExp or a string starting with "/": ${path}`);
+    }
+
+    const segments = parseSegments(path);
+    const paramNames = [];
+    let splatIndex = 0;
+    let source = '';
+
+    const nameFor = (token) => token.name || String(splatIndex++);
+
+    for (const segment of segments) {
+      switch (segment.type) {
+        case 'static':
+          source += `/${escapeRegex(segment.value)}`;
+          break;
+        case 'param':
+          paramNames.push(segment.name);
+          source += segment.optional
+            ? `(?:/(${segment.constraint || '[^/]+'}))?`
+            : `/(${segment.constraint || '[^/]+'})`;
+          break;
+        case 'splat':
+          paramNames.push(nameFor(segment));
+          source += segment.multi ? '(?:/(.*))?' : '/([^/]*)';
+          break;
+        default:
+          source += '/';
+          for (const token of segment.tokens) {
+            if (token.type === 'static') {
+              source += escapeRegex(token.value);
+            } else if (token.type === 'param') {
+              paramNames.push(token.name);
+              source += `(${token.constraint || '[^/]+?'})`;
+            } else {
+              paramNames.push(nameFor(token));
+              source += token.multi ? '(.*?)' : '([^/]*?)';
+            }
+          }
+      }
+    }
+
+    // Paths made only of optional segments, like /:id?, also match the root
+    const allOptional = segments.every(segment => (
+      (segment.type === 'param' && segment.optional) || (segment.type === 'splat' && segment.multi)
+    ));
+    if (allOptional) {
+      source = `(?:${source}|/)`;
+    }
+
+    return {
+      pattern: new RegExp(`^${source || '/'}$`),
+      paramNames,
+      segments
+    };
   }
 
   _extractParams(paramNames, match) {
     const params = {};
+
+    if (paramNames === null) {
+      match.slice(1).forEach((value, index) => {
+        if (value !== undefined) {
+          params[String(index)] = value;
+        }
+      });
+      return { ...params, ...match.groups };
+    }
+
     paramNames.forEach((name, index) => {
-      params[name] = match[index + 1];
+      if (match[index + 1] !== undefined) {
+        params[name] = match[index + 1];
+      }
     });
     return params;
   }
 }
 
-module.exports = { Router };
+/**
+ * Segment trie holding the routes of one HTTP method.
+ * Static segments are looked up by exact key; dynamic segments are tested
+ * with a per-segment regex. The trie only narrows down candidates: the
+ * caller still confirms each one with the route's full pattern, which keeps
+ * param extraction identical to plain regex matching.
+ */
+class RouteTrie {
+  constructor() {
+    this.root = createTrieNode();
+    this.fallback = [];
+  }
+
+  /**
+   * Add a route to the trie
+   * @param {object} route - Route definition from Router.register
+   */
+  insert(route) {
+    if (!route.segments || route.segments.some(spansSegments)) {
+      this.fallback.push(route);
+      return;
+    }
+
+    let node = this.root;
+    for (const segment of route.segments) {
+      if (segment.type === 'static') {
+        if (!node.statics.has(segment.value)) {
+          node.statics.set(segment.value, createTrieNode());
+        }
+        node = node.statics.get(segment.value);
+        continue;
+      }
+
+      const key = JSON.stringify(segment);
+      if (!node.dynamics.has(key)) {
+        node.dynamics.set(key, {
+          segment,
+          test: segmentTester(segment),
+          node: createTrieNode()
+        });
+      }
+      node = node.dynamics.get(key).node;
+    }
+
+    node.routes.push(route);
+  }
+
+  /**
+   * Routes that may match a request path, best first
+   * @param {string} path - Request path
+   * @returns {Array<object>} - Candidate routes sorted by precedence
+   */
+  candidates(path) {
+    const parts = path === '/' ? [] : path.slice(1).split('/');
+    const found = new Set(this.fallback);
+    this._collect(this.root, parts, 0, found);
+    return Array.from(found).sort(compareRoutes);
+  }
+
+  _collect(node, parts, index, found) {
+    if (index === parts.length) {
+      for (const route of node.routes) {
+        found.add(route);
+      }
+    }
+
+    if (index < parts.length) {
+      const next = node.statics.get(parts[index]);
+      if (next) {
+        this._collect(next, parts, index + 1, found);
+      }
+    }
+
+    for (const { segment, test, node: child } of node.dynamics.values()) {
+      const multi = segment.type === 'splat' && segment.multi;
+
+      if (multi || (segment.type === 'param' && segment.optional)) {
+        this._collect(child, parts, index, found);
+      }
+      if (index >= parts.length) {
+        continue;
+      }
+      if (multi) {
+        for (let end = index + 1; end <= parts.length; end++) {
+          this._collect(child, parts, end, found);
+        }
+      } else if (test(parts[index])) {
+        this._collect(child, parts, index + 1, found);
+      }
+    }
+  }
+}
+
+function createTrieNode() {
+  return { statics: new Map(), dynamics: new Map(), routes: [] };
+}
+
+/**
+ * Whether a segment can match across "/" and so cannot live in the trie:
+ * a `**` inside a mixed segment, or a constraint that may match a slash
+ */
+function spansSegments(segment) {
+  const tokens = segment.type === 'pattern' ? segment.tokens : [segment];
+  return tokens.some(token =>
+    (token.type === 'splat' && token.multi && segment.type === 'pattern') ||
+    (token.type === 'param' && token.constraint && SLASH_CAPABLE.test(token.constraint))
+  );
+}
+
+/**
+ * Build a predicate that checks one request segment against a dynamic segment
+ */
+function segmentTester(segment) {
+  if (segment.type === 'splat') {
+    return () => true;
+  }
+
+  let source;
+  if (segment.type === 'param') {
+    source = segment.constraint || '[^/]+';
+  } else {
+    source = segment.tokens.map((token) => {
+      if (token.type === 'static') return escapeRegex(token.value);
+      if (token.type === 'param') return `(?:${token.constraint || '[^/]+?'})`;
+      return '[^/]*?';
+    }).join('');
+  }
+
+  const regex = new RegExp(`^(?:${source})$`);
+  return value => regex.test(value);
+}
+
+/**
+ * Rank a parsed segment for specificity ordering
+ * @param {object} segment - Segment descriptor from parseSegments
+ * @returns {number} - Rank, lower is more specific
+ */
+function segmentRank(segment) {
+  switch (segment.type) {
+    case 'static':
+      return SEGMENT_RANK.static;
+    case 'pattern':
+      return SEGMENT_RANK.pattern;
+    case 'param':
+      if (segment.optional) return SEGMENT_RANK.optionalParam;
+      return segment.constraint ? SEGMENT_RANK.constrainedParam : SEGMENT_RANK.param;
+    default:
+      return segment.multi ? SEGMENT_RANK.multiSplat : SEGMENT_RANK.splat;
+  }
+}
+
+/**
+ * Order two routes: explicit priority first, then segment by segment
+ * specificity (static > param > splat), then longer paths, then the number
+ * of request matcher constraints, then registration order.
+ */
+function compareRoutes(a, b) {
+  if (a.priority !== b.priority) {
+    return b.priority - a.priority;
+  }
+
+  const length = Math.min(a.ranks.length, b.ranks.length);
+  for (let i = 0; i < length; i++) {
+    if (a.ranks[i] !== b.ranks[i]) {
+      return a.ranks[i] - b.ranks[i];
+    }
+  }
+
+  const aExtra = requiredLength(a.ranks) - length;
+  const bExtra = requiredLength(b.ranks) - length;
+  if (aExtra !== bExtra) {
+    return bExtra - aExtra;
+  }
+
+  if (a.ranks.length !== b.ranks.length) {
+    return a.ranks.length - b.ranks.length;
+  }
+
+  if (a.constraints !== b.constraints) {
+    return b.constraints - a.constraints;
+  }
+
+  return a.order - b.order;
+}
+
+/**
+ * Number of segments up to and including the last one that must be present,
+ * so trailing optional params and splats do not count as extra length
+ */
+function requiredLength(ranks) {
+  let length = ranks.length;
+  while (length > 0 && (ranks[length - 1] === SEGMENT_RANK.optionalParam || ranks[length - 1] === SEGMENT_RANK.multiSplat)) {
+    length--;
+  }
+  return length;
+}
+
+/**
+ * Split a path pattern into segment descriptors.
+ * Whole-segment params and splats get their own types so callers can reason
+ * about them; anything mixing literals and tokens becomes a 'pattern' segment.
+ * @param {string} path - Path pattern starting with "/"
+ * @returns {Array<object>} - Segment descriptors
+ */
+function parseSegments(path) {
+  const segments = [];
+
+  for (const raw of splitPath(path)) {
+    const tokens = tokenizeSegment(raw);
+    const [first] = tokens;
+
+    if (tokens.length === 0) {
+      segments.push({ type: 'static', value: '' });
+    } else if (tokens.length === 1 && first.type !== 'static') {
+      segments.push(first);
+    } else if (tokens.length === 1) {
+      segments.push({ type: 'static', value: first.value });
+    } else {
+      if (tokens.some(token => token.optional)) {
+        throw new Error(`Optional params must span a whole segment: ${path}`);
+      }
+      segments.push({ type: 'pattern', tokens });
+    }
+  }
+
+  return segments;
+}
+
+/**
+ * Split a path on "/" without breaking inside a param constraint
+ */
+function splitPath(path) {
+  const parts = [];
+  let current = '';
+  let depth = 0;
+
+  for (let i = 1; i < path.length; i++) {
+    const char = path[i];
+    if (char === '\\') {
+      current += char + (path[++i] || '');
+      continue;
+    }
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === '/' && depth === 0) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  parts.push(current);
+  return path === '/' ? [] : parts;
+}
+
+/**
+ * Tokenize a single path segment into static, param and splat tokens
+ */
+function tokenizeSegment(segment) {
+  const tokens = [];
+  let literal = '';
+  let i = 0;
+
+  const flush = () => {
+    if (literal) {
+      tokens.push({ type: 'static', value: literal });
+      literal = '';
+    }
+  };
+
+  while (i < segment.length) {
+    const char = segment[i];
+    const name = segment.slice(i + 1).match(NAME_PATTERN);
+
+    if (char === ':' && name) {
+      flush();
+      const token = { type: 'param', name: name[0], constraint: null, optional: false };
+      i += 1 + name[0].length;
+
+      if (segment[i] === '(') {
+        const end = findClosingParen(segment, i);
+        token.constraint = toNonCapturing(segment.slice(i + 1, end));
+        i = end + 1;
+      }
+      if (segment[i] === '?') {
+        token.optional = true;
+        i++;
+      }
+      tokens.push(token);
+    } else if (char === '*') {
+      flush();
+      const multi = segment[i + 1] === '*';
+      i += multi ? 2 : 1;
+      const splatName = segment.slice(i).match(NAME_PATTERN);
+      tokens.push({ type: 'splat', name: splatName ? splatName[0] : null, multi });
+      i += splatName ? splatName[0].length : 0;
+    } else {
+      literal += char;
+      i++;
+    }
+  }
+
+  flush();
+  return tokens;
+}
+
+function findClosingParen(source, start) {
+  let depth = 0;
+  for (let i = start; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+    } else if (source[i] === '(') {
+      depth++;
+    } else if (source[i] === ')' && --depth === 0) {
+      return i;
+    }
+  }
+  throw new Error(`Unterminated param constraint in "${source}"`);
+}
+
+/**
+ * Turn capturing groups in a constraint into non-capturing ones so they do
+ * not shift param indices
+ */
+function toNonCapturing(source) {
+  return source.replace(/(\\.)|\((?!\?)/g, (match, escaped) => escaped || '(?:');
+}
+
+/**
+ * Splits a request path into its pathname and parsed query string
+ * @param {string} path - Request path, optionally with a query string
+ * @returns {{pathname: string, query: Object}} - Pathname and query parameters
+ */
+function parseRequestPath(path) {
+  const index = path.indexOf('?');
+  if (index === -1) {
+    return { pathname: path, query: {} };
+  }
+
+  const query = {};
+  for (const [key, value] of new URLSearchParams(path.slice(index + 1))) {
+    if (key in query) {
+      query[key] = [].concat(query[key], value);
+    } else {
+      query[key] = value;
+    }
+  }
+
+  return { pathname: path.slice(0, index), query };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { Router, parseSegments, parseRequestPath };
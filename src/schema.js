@@ -1,166 +1,774 @@
 /**
- * Schema parser and validator for mock API responses
+ * Schema engine for mock API responses.
+ * Compiles a schema definition once into a generator function. Two
+ * syntaxes are understood and can be mixed:
+ *   - `{{uuid}}`, `{{integer(1, 10)}}` and `{ _repeat: 3, _template: {...} }`
+ *   - `$uuid`, `$integer(1, 10)` and `[{ _count: 3, ... }]`
+ * Strings can also reference the request (`$params.id`, `{{body.name}}`,
+ * `$query.page`, `$headers.x-id`, `$state.store.path`) or embed templates
+ * (`'Hello {{body.name}}'`). `_ordered: ['createdAt', 'updatedAt']` keeps
+ * date fields of an object in ascending order. `{{sequence('user')}}`
+ * counts up and `{{unique('email')}}` never repeats within one generated
+ * value. Any object node can be made optional or nullable, or replaced by
+ * one of several alternatives:
+ *   - `{ _optional: 0.3, _value: '{{firstName}}' }` omits the field 30% of the time
+ *   - `{ _nullable: 0.1, street: '...', city: '...' }` is null 10% of the time
+ *   - `{ _oneOf: ['active', 'banned'] }` picks one alternative uniformly
+ *   - `{ _pick: [{ weight: 9, value: 'active' }, { weight: 1, value: 'banned' }] }` picks by weight
+ * `_repeat` and `_count` take a fixed count, a range such as
+ * `{ min: 0, max: 20 }` or a string resolved per request such as
+ * `'$query.limit'`.
+ * Fields can depend on siblings in the same object: `{{this.firstName}}`
+ * reads another field and `{ _computed: (obj, ctx) => ... }` derives a value
+ * from them. Referenced fields are generated first; cycles throw.
+ * Compilation never mutates the definition.
  */
 
-const generators = require('./generators');
+const { globalRegistry } = require('./generator-registry');
+const { GenerationError, withGenerationScope } = require('./sequences');
+const { random } = require('./random');
+
+/**
+ * Request context sources that schemas can reference, e.g. $query.page
+ */
+const REQUEST_SOURCES = ['params', 'query', 'body', 'headers', 'state'];
+
+/**
+ * Object keys that are schema directives rather than output fields
+ */
+const DIRECTIVE_KEYS = ['_count', '_repeat', '_template', '_ordered', '_optional', '_nullable', '_value', '_oneOf', '_pick', '_computed'];
+
+/**
+ * Context key holding the object being generated, read by `this.field`
+ * references and `_computed` functions
+ */
+const SELF_SOURCE = 'this';
+
+/**
+ * Matches strings that reference the enclosing object
+ */
+const SELF_REFERENCE_PATTERN = /^\$this\.|\{\{\s*\$?this\./;
+
+/**
+ * Matches a generator call such as integer(1, 100)
+ */
+const CALL_PATTERN = /^(\w+)\(([\s\S]*)\)$/;
+
+/**
+ * Body of a {{expression}} template. Braces may appear inside quoted
+ * arguments and one level of object literal, e.g. {{regex('\\d{3}')}} or
+ * {{date({ format: 'date' })}}.
+ */
+const TEMPLATE_BODY = String.raw`\{\{\s*\$?((?:'[^']*'|"[^"]*"|\{[^{}]*\}|[^{}'"])+?)\s*\}\}`;
+
+/**
+ * Matches a string that is exactly one {{expression}} template
+ */
+const WHOLE_TEMPLATE_PATTERN = new RegExp(`^${TEMPLATE_BODY}$`);
+
+/**
+ * Matches {{expression}} templates embedded in strings
+ */
+const TEMPLATE_PATTERN = new RegExp(TEMPLATE_BODY, 'g');
+
+/**
+ * Returned by expressions naming a generator that does not exist
+ */
+const UNRESOLVED = Symbol('unresolved');
+
+/**
+ * Upper bound for counts taken from the request, so `?limit=1e9` cannot
+ * exhaust memory
+ */
+const MAX_DYNAMIC_COUNT = 1000;
+
+/**
+ * Returned by `_optional` nodes that were left out; parents drop it
+ */
+const OMITTED = Symbol('omitted');
 
 class Schema {
-  constructor(definition) {
+  /**
+   * @param {Object} definition - Schema definition
+   * @param {Object} [options={}] - Schema options
+   * @param {GeneratorRegistry} [options.generators] - Registry to resolve generators from; defaults to the global one
+   */
+  constructor(definition, options = {}) {
     if (!definition || typeof definition !== 'object') {
       throw new Error('Schema definition must be a non-null object');
     }
     this.definition = definition;
+    this.registry = options.generators || globalRegistry;
+    this.compiled = compileSchema(definition, { generators: this.registry });
   }
 
-  generate() {
-    return this.processValue(this.definition);
+  /**
+   * Generate data from the schema
+   * @param {Object} [context={}] - Request context for references ({ params, query, body, headers, state })
+   * @returns {*} Generated data
+   */
+  generate(context = {}) {
+    return this.compiled(context);
   }
 
-  processValue(value) {
-    if (value === null || value === undefined) {
-      return null;
-    }
+  /**
+   * Generate data from an arbitrary schema fragment
+   * @param {*} value - Schema fragment
+   * @param {Object} [context={}] - Request context
+   * @returns {*} Generated data
+   */
+  processValue(value, context = {}) {
+    return compileSchema(value, { generators: this.registry })(context);
+  }
 
-    if (typeof value === 'string') {
-      return this.processStringValue(value);
-    }
+  parseArgs(argsString) {
+    return parseArgs(argsString);
+  }
+
+  parseArgValue(value) {
+    return parseArgValue(value);
+  }
+
+  callGenerator(name, args) {
+    return callGenerator(name, args, this.registry);
+  }
+}
+
+/**
+ * Compile a schema definition into a generator function
+ * @param {*} definition - Schema definition
+ * @param {Object} [options={}] - Compile options
+ * @param {GeneratorRegistry} [options.generators] - Registry to resolve generators from; defaults to the global one
+ * @returns {Function} Function(context) => generated data
+ */
+function compileSchema(definition, options = {}) {
+  const registry = options.generators || globalRegistry;
+  const compiled = compileNode(definition, registry);
+  return (context = {}) => withGenerationScope({ registry }, () => {
+    const value = compiled(context);
+    return value === OMITTED ? undefined : value;
+  });
+}
+
+function compileNode(value, registry) {
+  if (value === null || value === undefined) {
+    return () => null;
+  }
+
+  if (typeof value === 'function') {
+    return context => value(context);
+  }
+
+  if (typeof value === 'string') {
+    return compileString(value, registry);
+  }
 
-    if (Array.isArray(value)) {
-      return this.processArray(value);
+  if (Array.isArray(value)) {
+    return compileArray(value, registry);
+  }
+
+  if (typeof value === 'object') {
+    return compileObject(value, registry);
+  }
+
+  return () => value;
+}
+
+function compileString(value, registry) {
+  if (value.startsWith('$') && value.length > 1) {
+    const expression = compileExpression(value.slice(1), registry);
+    if (!expression) {
+      return () => value;
     }
+    return (context) => {
+      const result = expression(context);
+      return result === UNRESOLVED ? value : result;
+    };
+  }
 
-    if (typeof value === 'object') {
-      return this.processObject(value);
+  const whole = value.match(WHOLE_TEMPLATE_PATTERN);
+  if (whole) {
+    const expression = compileExpression(whole[1], registry);
+    if (expression) {
+      return (context) => {
+        const result = expression(context);
+        if (result === UNRESOLVED) {
+          console.warn(`Unknown generator: ${whole[1]}, returning null`);
+          return null;
+        }
+        return result;
+      };
     }
+  }
 
-    return value;
+  if (value.includes('{{')) {
+    return compileTemplate(value, registry);
   }
 
-  processStringValue(value) {
-    const generatorPattern = /^\{\{\s*(\w+)(?:\((.*?)\))?\s*\}\}$/;
-    const match = value.match(generatorPattern);
+  return () => value;
+}
+
+/**
+ * Compile a string with embedded {{expression}} templates
+ */
+function compileTemplate(template, registry) {
+  const parts = [];
+  let lastIndex = 0;
 
-    if (match) {
-      const [, generatorName, argsString] = match;
-      const args = argsString ? this.parseArgs(argsString) : [];
-      return this.callGenerator(generatorName, args);
+  for (const match of template.matchAll(TEMPLATE_PATTERN)) {
+    parts.push(template.slice(lastIndex, match.index));
+    const expression = compileExpression(match[1], registry);
+    parts.push(expression ? { expression, text: match[0] } : match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+  parts.push(template.slice(lastIndex));
+
+  return context => parts.map((part) => {
+    if (typeof part === 'string') {
+      return part;
+    }
+    const value = part.expression(context);
+    if (value === UNRESOLVED) {
+      return part.text;
     }
+    if (value === null || value === undefined) {
+      return '';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }).join('');
+}
 
-    return value;
+/**
+ * Compile a reference (params.id, body.user.name, ...) or generator call
+ * (uuid, integer(1, 10)) into a resolver. Generators are looked up when the
+ * resolver runs, so ones registered later are found.
+ * @param {string} expression - Expression without the leading $ or braces
+ * @returns {Function|null} Function(context) => value or UNRESOLVED, or null for invalid syntax
+ */
+function compileExpression(expression, registry) {
+  const [source, ...path] = expression.split('.');
+  if (source === SELF_SOURCE) {
+    return path.length > 0 ? context => getPath(context[SELF_SOURCE], path) : null;
+  }
+  if (REQUEST_SOURCES.includes(source)) {
+    return context => resolveReference(source, path, context);
   }
 
-  parseArgs(argsString) {
-    if (!argsString || argsString.trim() === '') {
-      return [];
-    }
-
-    const args = [];
-    let current = '';
-    let inString = false;
-    let stringChar = null;
-    let depth = 0;
-
-    for (let i = 0; i < argsString.length; i++) {
-      const char = argsString[i];
-
-      if (!inString && (char === '"' || char === "'")) {
-        inString = true;
-        stringChar = char;
-        current += char;
-      } else if (inString && char === stringChar && argsString[i - 1] !== '\\') {
-        inString = false;
-        stringChar = null;
-        current += char;
-      } else if (!inString && (char === '[' || char === '{')) {
-        depth++;
-        current += char;
-      } else if (!inString && (char === ']' || char === '}')) {
-        depth--;
-        current += char;
-      } else if (!inString && depth === 0 && char === ',') {
-        args.push(this.parseArgValue(current.trim()));
-        current = '';
-      } else {
-        current += char;
-      }
+  const call = expression.match(CALL_PATTERN);
+  const name = call ? call[1] : expression;
+  if (!/^\w+$/.test(name)) {
+    return null;
+  }
+
+  const args = call ? parseArgs(call[2]) : [];
+  return () => (registry.has(name) ? callGenerator(name, args, registry) : UNRESOLVED);
+}
+
+/**
+ * Read a dotted path from one of the request sources. Header names are
+ * case-insensitive; state.<store>.<path> reads from StateManager stores.
+ */
+function resolveReference(source, path, context) {
+  const root = context[source];
+
+  if (source === 'headers' && path.length > 0) {
+    const name = path[0].toLowerCase();
+    const key = Object.keys(root || {}).find(header => header.toLowerCase() === name);
+    return key === undefined ? undefined : getPath(root[key], path.slice(1));
+  }
+
+  if (source === 'state' && root && typeof root.getStore === 'function') {
+    if (path.length === 0) {
+      return root.snapshot();
+    }
+    const store = root.getStore(path[0]);
+    if (!store) {
+      return undefined;
     }
+    return path.length > 1 ? store.get(path.slice(1).join('.')) : store.getState();
+  }
+
+  return getPath(root, path);
+}
 
-    if (current.trim()) {
-      args.push(this.parseArgValue(current.trim()));
+/**
+ * Read a path (array of keys) from a value
+ * @param {*} value - Root value
+ * @param {Array<string>} path - Keys to follow
+ * @returns {*} Value at the path, or undefined
+ */
+function getPath(value, path) {
+  let current = value;
+  for (const key of path) {
+    if (current === null || current === undefined) {
+      return undefined;
     }
+    current = current[key];
+  }
+  return current;
+}
 
-    return args;
+function compileArray(arr, registry) {
+  const [first] = arr;
+
+  if (isPlainObject(first) && first._count !== undefined) {
+    const item = compileObject(first, registry);
+    const count = compileCount(first._count, registry);
+    return context => withoutOmitted(Array.from({ length: count(context) }, () => item(context)));
   }
 
-  parseArgValue(value) {
-    if (value === 'true') return true;
-    if (value === 'false') return false;
-    if (value === 'null') return null;
-    if (value === 'undefined') return undefined;
+  const items = arr.map(item => compileNode(item, registry));
+  return context => withoutOmitted(items.map(item => item(context)));
+}
 
-    if ((value.startsWith('"') && value.endsWith('"')) ||
-        (value.startsWith("'") && value.endsWith("'"))) {
-      return value.slice(1, -1);
+function withoutOmitted(values) {
+  return values.filter(value => value !== OMITTED);
+}
+
+function compileObject(obj, registry) {
+  const node = compileObjectBody(obj, registry);
+  const optional = readProbability(obj, '_optional');
+  const nullable = readProbability(obj, '_nullable');
+
+  if (optional === 0 && nullable === 0) {
+    return node;
+  }
+
+  return (context) => {
+    if (optional > 0 && random() < optional) {
+      return OMITTED;
+    }
+    if (nullable > 0 && random() < nullable) {
+      return null;
     }
+    return node(context);
+  };
+}
 
-    const num = Number(value);
-    if (!isNaN(num) && value !== '') {
-      return num;
+/**
+ * Read an `_optional` or `_nullable` modifier
+ * @param {Object} obj - Schema node
+ * @param {string} key - Modifier key
+ * @returns {number} Probability from 0 to 1; `true` means 0.5
+ */
+function readProbability(obj, key) {
+  const value = obj[key];
+  if (value === undefined || value === false) {
+    return 0;
+  }
+  if (value === true) {
+    return 0.5;
+  }
+  if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+    throw new Error(`${key} must be a probability between 0 and 1`);
+  }
+  return value;
+}
+
+function compileObjectBody(obj, registry) {
+  if (obj._oneOf !== undefined) {
+    return compileOneOf(obj._oneOf, registry);
+  }
+
+  if (obj._pick !== undefined) {
+    return compilePick(obj._pick, registry);
+  }
+
+  if ('_value' in obj) {
+    return compileNode(obj._value, registry);
+  }
+
+  if (obj._computed !== undefined) {
+    if (typeof obj._computed !== 'function') {
+      throw new Error('_computed must be a function (obj, ctx) => value');
     }
+    return context => obj._computed(context[SELF_SOURCE], context);
+  }
 
-    try {
-      return JSON.parse(value);
-    } catch {
-      return value;
+  if (obj._repeat !== undefined && obj._template !== undefined) {
+    const count = compileCount(obj._repeat, registry);
+    const template = compileNode(obj._template, registry);
+    return context => withoutOmitted(Array.from({ length: count(context) }, () => template(context)));
+  }
+
+  const fields = [];
+  for (const [key, value] of Object.entries(obj)) {
+    if (value === undefined || DIRECTIVE_KEYS.includes(key)) {
+      continue;
     }
+    fields.push([key, compileNode(value, registry)]);
   }
 
-  callGenerator(name, args) {
-    const generatorFn = generators[name];
+  const orderedGroups = normalizeOrdered(obj._ordered);
+  const generate = Object.values(obj).some(referencesSelf)
+    ? context => generateLinkedFields(fields, context)
+    : context => generateFields(fields, context);
 
-    if (typeof generatorFn !== 'function') {
-      console.warn(`Unknown generator: ${name}, returning null`);
-      return null;
+  return (context) => {
+    const result = generate(context);
+    orderedGroups.forEach(keys => orderFields(result, keys.filter(key => key in result)));
+    return result;
+  };
+}
+
+function generateFields(fields, context) {
+  const result = {};
+  for (const [key, field] of fields) {
+    const value = field(context);
+    if (value !== OMITTED) {
+      result[key] = value;
     }
+  }
+  return result;
+}
 
-    try {
-      return generatorFn(...args);
-    } catch (error) {
-      console.warn(`Generator ${name} failed: ${error.message}, returning null`);
-      return null;
+/**
+ * Generate fields that may read each other through `this`. A field is
+ * generated the first time it is read, so dependencies come first; the
+ * result keeps the definition's key order.
+ * @param {Array<Array>} fields - Compiled [key, field] pairs
+ * @param {Object} context - Generation context
+ * @returns {Object} Generated object
+ * @throws {GenerationError} If fields reference each other in a cycle
+ */
+function generateLinkedFields(fields, context) {
+  const compiled = new Map(fields);
+  const values = {};
+  const done = new Set();
+  const stack = [];
+
+  const evaluate = (key) => {
+    if (done.has(key)) {
+      return;
+    }
+    if (stack.includes(key)) {
+      const cycle = [...stack.slice(stack.indexOf(key)), key];
+      throw new GenerationError(`Circular field reference: ${cycle.join(' -> ')}`);
+    }
+
+    stack.push(key);
+    const value = compiled.get(key)(fieldContext);
+    stack.pop();
+    done.add(key);
+    if (value !== OMITTED) {
+      values[key] = value;
+    }
+  };
+
+  const self = new Proxy(values, {
+    get(target, key) {
+      if (compiled.has(key)) {
+        evaluate(key);
+      }
+      return target[key];
+    },
+    has(target, key) {
+      if (compiled.has(key)) {
+        evaluate(key);
+      }
+      return key in target;
+    }
+  });
+  const fieldContext = { ...context, [SELF_SOURCE]: self };
+
+  const result = {};
+  for (const [key] of fields) {
+    evaluate(key);
+    if (key in values) {
+      result[key] = values[key];
     }
   }
+  return result;
+}
 
-  processArray(arr) {
-    if (arr.length === 0) {
-      return [];
+/**
+ * Whether a schema value may read the enclosing object, looking through
+ * arrays and modifier nodes but not into nested objects, which get their
+ * own `this`
+ * @param {*} value - Schema value
+ * @returns {boolean}
+ */
+function referencesSelf(value) {
+  if (typeof value === 'string') {
+    return SELF_REFERENCE_PATTERN.test(value);
+  }
+  if (typeof value === 'function') {
+    return true;
+  }
+  if (Array.isArray(value)) {
+    return value.some(referencesSelf);
+  }
+  if (isPlainObject(value)) {
+    if (value._computed !== undefined) {
+      return true;
     }
-    return arr.map(item => this.processValue(item));
+    const wrapped = [value._value, value._template, ...(value._oneOf || [])];
+    if (Array.isArray(value._pick)) {
+      wrapped.push(...value._pick.map(entry => entry && entry.value));
+    }
+    return wrapped.some(referencesSelf);
   }
+  return false;
+}
 
-  processObject(obj) {
-    if (obj === null) {
-      return null;
+/**
+ * Compile a `_repeat` or `_count` value into a function returning the
+ * number of items for one generation
+ * @param {number|string|{min: number, max: number}} spec - Fixed count, range or request expression
+ * @param {GeneratorRegistry} registry - Registry for generator expressions
+ * @returns {Function} Function(context) => count
+ */
+function compileCount(spec, registry) {
+  if (isPlainObject(spec)) {
+    const min = spec.min ?? 0;
+    const max = spec.max ?? min;
+    if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || min > max) {
+      throw new Error('Repeat range must have integer bounds with 0 <= min <= max');
     }
+    return () => min + Math.floor(random() * (max - min + 1));
+  }
+
+  if (typeof spec === 'string') {
+    const value = compileString(spec, registry);
+    return context => Math.min(toCount(value(context)), MAX_DYNAMIC_COUNT);
+  }
+
+  const count = toCount(spec);
+  return () => count;
+}
+
+/**
+ * Convert a count value to a whole number of items; anything that is not
+ * a non-negative number yields one item
+ * @param {*} value - Count, possibly a numeric string
+ * @returns {number}
+ */
+function toCount(value) {
+  const count = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return typeof count === 'number' && count >= 0 ? Math.floor(count) : 1;
+}
 
-    if (obj._repeat && obj._template) {
-      const count = typeof obj._repeat === 'number' && obj._repeat > 0 ? obj._repeat : 1;
-      return Array.from({ length: count }, () => this.processValue(obj._template));
+function compileOneOf(alternatives, registry) {
+  if (!Array.isArray(alternatives) || alternatives.length === 0) {
+    throw new Error('_oneOf must be a non-empty array of alternatives');
+  }
+
+  const compiled = alternatives.map(alternative => compileNode(alternative, registry));
+  return context => compiled[Math.floor(random() * compiled.length)](context);
+}
+
+function compilePick(entries, registry) {
+  const valid = Array.isArray(entries) && entries.length > 0 && entries.every(entry => (
+    isPlainObject(entry) && typeof entry.weight === 'number' && entry.weight >= 0 && 'value' in entry
+  ));
+  const total = valid ? entries.reduce((sum, entry) => sum + entry.weight, 0) : 0;
+  if (total <= 0) {
+    throw new Error('_pick must be a non-empty array of { weight, value } entries with a positive total weight');
+  }
+
+  const compiled = entries.map(entry => ({ weight: entry.weight, value: compileNode(entry.value, registry) }));
+  const fallback = compiled.filter(entry => entry.weight > 0).pop();
+  return (context) => {
+    let remaining = random() * total;
+    const picked = compiled.find((entry) => {
+      remaining -= entry.weight;
+      return remaining < 0;
+    }) || fallback;
+    return picked.value(context);
+  };
+}
+
+/**
+ * Normalize `_ordered` into a list of key groups
+ * @param {Array<string>|Array<Array<string>>} [ordered] - One group of keys or several
+ * @returns {Array<Array<string>>}
+ */
+function normalizeOrdered(ordered) {
+  if (ordered === undefined) {
+    return [];
+  }
+  if (!Array.isArray(ordered)) {
+    throw new Error('_ordered must be an array of field names');
+  }
+  return ordered.every(Array.isArray) ? ordered : [ordered];
+}
+
+/**
+ * Reassign date values so the listed fields are in ascending order.
+ * Values may be ISO strings, other Date.parse-able strings or epoch numbers.
+ * @param {Object} result - Generated object, modified in place
+ * @param {Array<string>} keys - Field names from earliest to latest
+ */
+function orderFields(result, keys) {
+  const entries = keys.map((key) => {
+    const value = result[key];
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return { value, time };
+  });
+
+  if (entries.some(entry => Number.isNaN(entry.time))) {
+    console.warn(`Cannot order fields ${keys.join(', ')}: values are not dates`);
+    return;
+  }
+
+  entries.sort((a, b) => a.time - b.time);
+  keys.forEach((key, index) => {
+    result[key] = entries[index].value;
+  });
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Split a generator argument list such as `1, 'a,b', [1, 2]` into values
+ * @param {string} argsString - Text between the generator's parentheses
+ * @returns {Array} Parsed arguments
+ */
+function parseArgs(argsString) {
+  return splitArgs(argsString).map(parseArgValue);
+}
+
+/**
+ * Split comma-separated text at the top level, ignoring commas inside
+ * quotes, brackets and braces
+ * @param {string} argsString - Text to split
+ * @returns {Array<string>} Trimmed pieces
+ */
+function splitArgs(argsString) {
+  if (!argsString || argsString.trim() === '') {
+    return [];
+  }
+
+  const args = [];
+  let current = '';
+  let inString = false;
+  let stringChar = null;
+  let depth = 0;
+
+  for (let i = 0; i < argsString.length; i++) {
+    const char = argsString[i];
+
+    if (!inString && (char === '"' || char === '\'')) {
+      inString = true;
+      stringChar = char;
+      current += char;
+    } else if (inString && char === stringChar && argsString[i - 1] !== '\\') {
+      inString = false;
+      stringChar = null;
+      current += char;
+    } else if (!inString && (char === '[' || char === '{')) {
+      depth++;
+      current += char;
+    } else if (!inString && (char === ']' || char === '}')) {
+      depth--;
+      current += char;
+    } else if (!inString && depth === 0 && char === ',') {
+      args.push(current.trim());
+      current = '';
+    } else {
+      current += char;
     }
+  }
+
+  if (current.trim()) {
+    args.push(current.trim());
+  }
+
+  return args;
+}
+
+/**
+ * Parse a single generator argument into a JS value
+ * @param {string} value - Trimmed argument text
+ * @returns {*} Parsed value
+ */
+function parseArgValue(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (value === 'null') return null;
+  if (value === 'undefined') return undefined;
+
+  if ((value.startsWith('"') && value.endsWith('"')) ||
+      (value.startsWith('\'') && value.endsWith('\''))) {
+    return value.slice(1, -1);
+  }
+
+  const num = Number(value);
+  if (!isNaN(num) && value !== '') {
+    return num;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return parseLiteral(value);
+  }
+}
+
+/**
+ * Parse JavaScript-style array and object literals that JSON.parse rejects,
+ * such as `['a', 'b']` or `{ from: '-7d', format: 'date' }`
+ * @param {string} value - Trimmed argument text
+ * @returns {*} Parsed array or object, or the text itself
+ */
+function parseLiteral(value) {
+  if (value.startsWith('[') && value.endsWith(']')) {
+    return parseArgs(value.slice(1, -1));
+  }
 
+  if (value.startsWith('{') && value.endsWith('}')) {
     const result = {};
-    for (const [key, value] of Object.entries(obj)) {
-      if (key === undefined || value === undefined) {
-        continue;
+    for (const entry of splitArgs(value.slice(1, -1))) {
+      const separator = entry.indexOf(':');
+      if (separator === -1) {
+        return value;
       }
-      result[key] = this.processValue(value);
+      const key = entry.slice(0, separator).trim().replace(/^(['"])(.*)\1$/, '$2');
+      result[key] = parseArgValue(entry.slice(separator + 1).trim());
     }
     return result;
   }
+
+  return value;
+}
+
+/**
+ * Call a generator, returning null (with a warning) when it is unknown,
+ * rejects its arguments or throws
+ * @param {string} name - Generator name
+ * @param {Array} args - Generator arguments
+ * @param {GeneratorRegistry} [registry] - Registry to resolve from; defaults to the global one
+ * @returns {*} Generated value
+ * @throws {GenerationError} If a constraint such as `unique` cannot be met
+ */
+function callGenerator(name, args, registry = globalRegistry) {
+  if (!registry.has(name)) {
+    console.warn(`Unknown generator: ${name}, returning null`);
+    return null;
+  }
+
+  try {
+    return registry.call(name, args);
+  } catch (error) {
+    if (error instanceof GenerationError) {
+      throw error;
+    }
+    const details = error.errors && error.errors.length > 0 ? ` (${error.errors.join('; ')})` : '';
+    console.warn(`Generator ${name} failed: ${error.message}${details}, returning null`);
+    return null;
+  }
 }
 
-function createSchema(definition) {
-  return new Schema(definition);
+/**
+ * Create a schema
+ * @param {Object} definition - Schema definition
+ * @param {Object} [options] - See Schema constructor
+ * @returns {Schema}
+ */
+function createSchema(definition, options) {
+  return new Schema(definition, options);
 }
 
-module.exports = { Schema, createSchema };
+module.exports = { Schema, createSchema, compileSchema, parseArgs, parseArgValue, callGenerator };
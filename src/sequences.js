@@ -0,0 +1,144 @@
+/**
+ * @module sequences
+ * @description Counters and unique-value tracking behind the `sequence` and
+ * `unique` generators. Counters live in a store per route, per server or
+ * globally; values seen by `unique` are tracked per generated response.
+ */
+
+const SEQUENCE_SCOPES = ['route', 'server', 'global'];
+
+/**
+ * Attempts `unique` makes before giving up on a generator
+ * @type {number}
+ */
+const MAX_UNIQUE_ATTEMPTS = 100;
+
+/**
+ * Error raised when data generation cannot satisfy a constraint. Unlike
+ * ordinary generator errors it is not turned into a null value.
+ */
+class GenerationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GenerationError';
+  }
+}
+
+class SequenceStore {
+  constructor() {
+    this.counters = new Map();
+    this.emitted = new Map();
+  }
+
+  /**
+   * Advance a named counter
+   * @param {string} name - Counter name
+   * @param {number} [start=1] - First value
+   * @param {number} [step=1] - Increment
+   * @returns {number} Next value
+   */
+  next(name, start = 1, step = 1) {
+    const value = this.counters.has(name) ? this.counters.get(name) + step : start;
+    this.counters.set(name, value);
+    return value;
+  }
+
+  /**
+   * Restart one counter, or all counters and tracked unique values
+   * @param {string} [name] - Counter name; omit to reset everything
+   */
+  reset(name) {
+    if (name === undefined) {
+      this.counters.clear();
+      this.emitted.clear();
+      return;
+    }
+    this.counters.delete(name);
+  }
+}
+
+const globalSequences = new SequenceStore();
+let currentScope = null;
+
+/**
+ * Run a synchronous function inside a generation scope. Fields not given
+ * are inherited from the enclosing scope; a new outermost scope starts a
+ * fresh set of unique values.
+ * @param {Object} scope - Scope fields
+ * @param {SequenceStore} [scope.route] - Counters for the current route
+ * @param {SequenceStore} [scope.server] - Counters for the current server
+ * @param {Object} [scope.registry] - Registry `unique` resolves generator names in
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function withGenerationScope(scope, fn) {
+  const previous = currentScope;
+  const next = { emitted: new Map(), ...previous };
+  for (const [key, value] of Object.entries(scope)) {
+    if (value) {
+      next[key] = value;
+    }
+  }
+
+  currentScope = next;
+  try {
+    return fn();
+  } finally {
+    currentScope = previous;
+  }
+}
+
+/**
+ * Find the counter store for a scope, falling back to wider scopes
+ * outside a server
+ * @param {string} scope - 'route', 'server' or 'global'
+ * @returns {SequenceStore}
+ */
+function getSequenceStore(scope) {
+  if (!SEQUENCE_SCOPES.includes(scope)) {
+    throw new Error(`Unknown sequence scope: ${scope}`);
+  }
+
+  const active = currentScope || {};
+  if (scope === 'route') {
+    return active.route || active.server || globalSequences;
+  }
+  if (scope === 'server') {
+    return active.server || globalSequences;
+  }
+  return globalSequences;
+}
+
+/**
+ * Values already produced in the current scope for a key; outside any
+ * generation they are tracked globally until the next reset
+ * @param {string} key - Generator call key
+ * @returns {Set<string>}
+ */
+function getEmitted(key) {
+  const emitted = currentScope ? currentScope.emitted : globalSequences.emitted;
+  if (!emitted.has(key)) {
+    emitted.set(key, new Set());
+  }
+  return emitted.get(key);
+}
+
+/**
+ * Registry of the current scope, if any
+ * @returns {Object|null}
+ */
+function getScopeRegistry() {
+  return currentScope && currentScope.registry ? currentScope.registry : null;
+}
+
+module.exports = {
+  SEQUENCE_SCOPES,
+  MAX_UNIQUE_ATTEMPTS,
+  GenerationError,
+  SequenceStore,
+  globalSequences,
+  withGenerationScope,
+  getSequenceStore,
+  getEmitted,
+  getScopeRegistry
+};
@@ -73,6 +73,15 @@ function validateFormat(value, format) {
   return regex ? regex.test(value) : true;
 }
 
+/**
+ * Check divisibility with a small tolerance, so decimal steps such as
+ * 0.01 accept values like 0.07 despite floating point rounding
+ */
+function isMultipleOf(value, divisor) {
+  const quotient = value / divisor;
+  return Math.abs(quotient - Math.round(quotient)) < 1e-9;
+}
+
 function validateNumber(value, schema) {
   const errors = [];
   
@@ -92,7 +101,7 @@ function validateNumber(value, schema) {
     }
   }
   
-  if (schema.multipleOf !== undefined && value % schema.multipleOf !== 0) {
+  if (schema.multipleOf !== undefined && !isMultipleOf(value, schema.multipleOf)) {
     errors.push(`Value must be a multiple of ${schema.multipleOf}`);
   }
   